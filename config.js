@@ -5,6 +5,7 @@ const defaults = {
   THIRDPARTY_API_USERAGENT: `https://github.com/yukidaruma/splatoon-stats/${process.env.npm_package_version}`,
   FRONTEND_ORIGIN: 'http://localhost:8080',
   // Cache duration for reverse proxy (shared cache). Set to 0 if unnecessary.
+  // Routes built from rankings are revalidated with ETag instead (see src/conditional-get.js).
   GET_REQUEST_CACHE_DURATION: 86400,
 
   SENTRY_DSN: '',
@@ -68,6 +68,7 @@ CREATE INDEX IF NOT EXISTS league_group_rankings_rating_idx ON league_group_rank
 DROP INDEX IF EXISTS league_group_rankings_rating_normalized_weapon_ids_idx;
 CREATE INDEX IF NOT EXISTS league_group_rankings_normalized_weapon_ids_idx ON league_group_rankings (normalized_weapon_ids);
 CREATE INDEX IF NOT EXISTS league_group_rankings_weapon_ids_idx ON league_group_rankings (weapon_ids);
+CREATE INDEX IF NOT EXISTS league_group_rankings_start_time_group_type_idx ON league_group_rankings (start_time, group_type);
 
 -- This table is used to prevent fetch-league-rankings from fetching nonexistent league rankings.
 CREATE TABLE IF NOT EXISTS missing_league_rankings (
@@ -85,6 +86,7 @@ CREATE TABLE IF NOT EXISTS x_rankings (
 );
 CREATE INDEX IF NOT EXISTS x_rankings_rating_idx ON x_rankings (rating);
 CREATE INDEX IF NOT EXISTS x_rankings_rating_weapon_id_idx ON x_rankings (rating, weapon_id);
+CREATE INDEX IF NOT EXISTS x_rankings_player_id_idx ON x_rankings (player_id);
 
 CREATE TABLE IF NOT EXISTS splatfest_rankings (
   region CHAR(2),
@@ -96,6 +98,7 @@ CREATE TABLE IF NOT EXISTS splatfest_rankings (
   rating numeric(5, 1) NOT NULL,
   PRIMARY KEY (region, splatfest_id, team_id, player_id)
 );
+CREATE INDEX IF NOT EXISTS splatfest_rankings_player_id_idx ON splatfest_rankings (player_id);
 
 CREATE TABLE IF NOT EXISTS player_known_names (
   player_id VARCHAR(16) NOT NULL,
@@ -103,6 +106,12 @@ CREATE TABLE IF NOT EXISTS player_known_names (
   last_used TIMESTAMP NOT NULL,
   PRIMARY KEY (player_id, player_name)
 );
+ALTER TABLE player_known_names ADD COLUMN IF NOT EXISTS first_seen TIMESTAMP;
+-- Names recorded before this column was added are only known to be used at last_used.
+-- first_seen moves back as soon as an older ranking with the name is ingested.
+UPDATE player_known_names SET first_seen = last_used WHERE first_seen IS NULL;
+ALTER TABLE player_known_names ALTER COLUMN first_seen SET NOT NULL;
+CREATE INDEX IF NOT EXISTS player_known_names_player_name_idx ON player_known_names (player_name);
 
 CREATE MATERIALIZED VIEW IF NOT EXISTS latest_player_names_mv
   (player_id, player_name)
@@ -124,6 +133,26 @@ AS SELECT player_id, player_name FROM (
 ) AS unique_player_latest_names;
 CREATE UNIQUE INDEX IF NOT EXISTS latest_player_names_mv_player_id_idx ON latest_player_names_mv (player_id);
 
+-- Used by player search.
+-- Name is normalized into NFKC, lower case and hiragana so that e.g. "ｲｶ", "イカ" and "いか" are treated as same.
+-- Keep this in sync with `normalizePlayerName` in src/util.js.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE OR REPLACE FUNCTION normalize_player_name(player_name TEXT) RETURNS TEXT AS $$
+  SELECT translate(
+    lower(normalize(player_name, NFKC)),
+    'ァアィイゥウェエォオカガキギクグケゲコゴサザシジスズセゼソゾタダチヂッツヅテデトドナニヌネノハバパヒビピフブプヘベペホボポマミムメモャヤュユョヨラリルレロヮワヰヱヲンヴヵヶ',
+    'ぁあぃいぅうぇえぉおかがきぎくぐけげこごさざしじすずせぜそぞただちぢっつづてでとどなにぬねのはばぱひびぴふぶぷへべぺほぼぽまみむめもゃやゅゆょよらりるれろゎわゐゑをんゔゕゖ'
+  );
+$$ LANGUAGE SQL IMMUTABLE STRICT;
+CREATE INDEX IF NOT EXISTS player_known_names_normalized_player_name_idx
+  ON player_known_names USING GIN (normalize_player_name(player_name) gin_trgm_ops);
+-- Trigram index can't serve names shorter than 3 characters, which are matched by prefix instead.
+CREATE INDEX IF NOT EXISTS player_known_names_normalized_player_name_pattern_idx
+  ON player_known_names (normalize_player_name(player_name) text_pattern_ops);
+-- Used for prefix search on player ID.
+CREATE INDEX IF NOT EXISTS player_known_names_player_id_pattern_idx ON player_known_names (player_id varchar_pattern_ops);
+CREATE INDEX IF NOT EXISTS league_rankings_player_id_pattern_idx ON league_rankings (player_id varchar_pattern_ops);
+
 CREATE TABLE IF NOT EXISTS ranked_rules (
   rule_id SMALLINT PRIMARY KEY,
   rule_key VARCHAR(31)
@@ -163,3 +192,195 @@ CREATE TABLE IF NOT EXISTS monthly_league_battle_schedules (
   start_time TIMESTAMP PRIMARY KEY,
   FOREIGN KEY (start_time) REFERENCES league_schedules (start_time)
 );
+-- Backfill rotations guessed as monthly league battles: 12:00 UTC on the first Friday of a month and 12 hours later.
+-- Keep this in sync with `isMonthlyLeagueBattle` in src/util.js.
+INSERT INTO monthly_league_battle_schedules (start_time)
+  SELECT start_time FROM (
+    SELECT
+        start_time,
+        DATE_TRUNC('month', start_time)
+          + (7 + 5 - EXTRACT(DOW FROM DATE_TRUNC('month', start_time))::INTEGER) % 7 * INTERVAL '1 day'
+          + INTERVAL '12 hours' AS first_slot
+      FROM league_schedules
+  ) AS schedules
+  WHERE start_time IN (first_slot, first_slot + INTERVAL '12 hours')
+  ON CONFLICT (start_time) DO NOTHING;
+
+-- Updated whenever rankings are ingested. Used for ETag / Last-Modified of API responses.
+CREATE TABLE IF NOT EXISTS dataset_ingestions (
+  dataset VARCHAR(15) PRIMARY KEY, -- Either league, x or splatfest
+  last_ingested_at TIMESTAMP NOT NULL
+);
+
+-- Leaderboards of the best rating of all time, refreshed whenever rankings are ingested.
+-- If the best rating was achieved multiple times, the earliest one is used.
+CREATE MATERIALIZED VIEW IF NOT EXISTS x_peak_ratings_mv
+  (player_id, rule_id, rating, start_time, weapon_id, monthly_rank, rank)
+AS SELECT *, RANK() OVER (PARTITION BY rule_id ORDER BY rating DESC) FROM (
+  SELECT DISTINCT ON (player_id, rule_id) player_id, rule_id, rating, start_time, weapon_id, rank
+    FROM x_rankings
+  ORDER BY player_id, rule_id, rating DESC, start_time
+) AS peaks;
+CREATE UNIQUE INDEX IF NOT EXISTS x_peak_ratings_mv_player_id_rule_id_idx ON x_peak_ratings_mv (player_id, rule_id);
+CREATE INDEX IF NOT EXISTS x_peak_ratings_mv_rule_id_rating_idx ON x_peak_ratings_mv (rule_id, rating DESC, player_id);
+
+-- Built from x_peak_ratings_mv, so it has to be refreshed after that.
+CREATE MATERIALIZED VIEW IF NOT EXISTS x_combined_peak_ratings_mv
+  (player_id, rules_count, total_rating, average_rating, rule_ids, ratings, total_rating_rank, average_rating_rank)
+AS SELECT *, RANK() OVER (ORDER BY total_rating DESC), RANK() OVER (ORDER BY average_rating DESC) FROM (
+  SELECT
+      player_id,
+      COUNT(*),
+      SUM(rating) AS total_rating,
+      ROUND(AVG(rating), 1) AS average_rating,
+      ARRAY_AGG(rule_id ORDER BY rule_id),
+      ARRAY_AGG(rating::float8 ORDER BY rule_id)
+    FROM x_peak_ratings_mv
+  GROUP BY player_id
+) AS totals;
+CREATE UNIQUE INDEX IF NOT EXISTS x_combined_peak_ratings_mv_player_id_idx ON x_combined_peak_ratings_mv (player_id);
+CREATE INDEX IF NOT EXISTS x_combined_peak_ratings_mv_total_rating_idx ON x_combined_peak_ratings_mv (total_rating DESC, player_id);
+CREATE INDEX IF NOT EXISTS x_combined_peak_ratings_mv_average_rating_idx ON x_combined_peak_ratings_mv (average_rating DESC, player_id);
+
+-- Teams are identified by their members, so the same members in different rotations are the same team.
+CREATE MATERIALIZED VIEW IF NOT EXISTS league_team_peaks_mv
+  (group_type, rule_id, player_ids, start_time, group_id, rating, appearances, rank)
+AS SELECT *, RANK() OVER (PARTITION BY group_type, rule_id ORDER BY rating DESC) FROM (
+  SELECT DISTINCT ON (group_type, rule_id, player_ids)
+      group_type,
+      rule_id,
+      player_ids,
+      start_time,
+      group_id,
+      rating,
+      COUNT(*) OVER (PARTITION BY group_type, rule_id, player_ids)
+    FROM (
+      SELECT lr.group_type, ls.rule_id, lr.start_time, lr.group_id, lr.rating, ARRAY_AGG(lr.player_id ORDER BY lr.player_id) AS player_ids
+        FROM league_rankings lr
+      INNER JOIN league_schedules ls ON ls.start_time = lr.start_time
+      GROUP BY lr.group_type, ls.rule_id, lr.start_time, lr.group_id, lr.rating
+    ) AS teams
+  ORDER BY group_type, rule_id, player_ids, rating DESC, start_time, group_id
+) AS peaks;
+CREATE UNIQUE INDEX IF NOT EXISTS league_team_peaks_mv_group_type_rule_id_player_ids_idx ON league_team_peaks_mv (group_type, rule_id, player_ids);
+CREATE INDEX IF NOT EXISTS league_team_peaks_mv_group_type_rule_id_rating_idx ON league_team_peaks_mv (group_type, rule_id, rating DESC, start_time, group_id);
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS league_combined_team_peaks_mv
+  (group_type, player_ids, rules_count, total_rating, average_rating, rule_ids, ratings, total_rating_rank, average_rating_rank)
+AS SELECT
+    *,
+    RANK() OVER (PARTITION BY group_type ORDER BY total_rating DESC),
+    RANK() OVER (PARTITION BY group_type ORDER BY average_rating DESC)
+  FROM (
+    SELECT
+        group_type,
+        player_ids,
+        COUNT(*),
+        SUM(rating) AS total_rating,
+        ROUND(AVG(rating), 1) AS average_rating,
+        ARRAY_AGG(rule_id ORDER BY rule_id),
+        ARRAY_AGG(rating::float8 ORDER BY rule_id)
+      FROM league_team_peaks_mv
+    GROUP BY group_type, player_ids
+  ) AS totals;
+CREATE UNIQUE INDEX IF NOT EXISTS league_combined_team_peaks_mv_group_type_player_ids_idx ON league_combined_team_peaks_mv (group_type, player_ids);
+CREATE INDEX IF NOT EXISTS league_combined_team_peaks_mv_total_rating_idx ON league_combined_team_peaks_mv (group_type, total_rating DESC, player_ids);
+CREATE INDEX IF NOT EXISTS league_combined_team_peaks_mv_average_rating_idx ON league_combined_team_peaks_mv (group_type, average_rating DESC, player_ids);
+
+-- Hall of fame, refreshed whenever rankings are ingested.
+-- Appearances are counted for each rule (1: Splat Zones, 2: Tower Control, 3: Rainmaker, 4: Clam Blitz).
+CREATE MATERIALIZED VIEW IF NOT EXISTS x_hall_of_fame_mv
+  (player_id, months, appearances, rule1, rule2, rule3, rule4, first_appearance, last_appearance, average_rank, best_rating, rank)
+AS SELECT *, RANK() OVER (ORDER BY months DESC, appearances DESC) FROM (
+  SELECT
+      player_id,
+      COUNT(DISTINCT DATE_TRUNC('month', start_time)) AS months,
+      COUNT(*) AS appearances,
+      COUNT(*) FILTER (WHERE rule_id = 1),
+      COUNT(*) FILTER (WHERE rule_id = 2),
+      COUNT(*) FILTER (WHERE rule_id = 3),
+      COUNT(*) FILTER (WHERE rule_id = 4),
+      MIN(start_time),
+      MAX(start_time),
+      ROUND(AVG(rank), 1),
+      MAX(rating)
+    FROM x_rankings
+  GROUP BY player_id
+) AS players;
+CREATE UNIQUE INDEX IF NOT EXISTS x_hall_of_fame_mv_player_id_idx ON x_hall_of_fame_mv (player_id);
+CREATE INDEX IF NOT EXISTS x_hall_of_fame_mv_months_idx ON x_hall_of_fame_mv (months DESC, appearances DESC, player_id);
+
+-- Counted for each rating threshold (0 for all rankings) and group type ('all' for both).
+-- League rankings are scanned once and counted by month and by the highest threshold each rating reaches,
+-- then the much smaller monthly counts are added up for each threshold.
+-- Keep thresholds in sync with `leagueHallOfFameMinRatings` in src/data.js.
+CREATE MATERIALIZED VIEW IF NOT EXISTS league_hall_of_fame_mv
+  (min_rating, group_type, player_id, months, appearances, rule1, rule2, rule3, rule4, first_appearance, last_appearance, average_rank, best_rating, rank)
+AS WITH monthly AS (
+  SELECT
+      lr.player_id,
+      lr.group_type,
+      CASE
+        WHEN lr.rating >= 3000 THEN 3000
+        WHEN lr.rating >= 2800 THEN 2800
+        WHEN lr.rating >= 2600 THEN 2600
+        WHEN lr.rating >= 2400 THEN 2400
+        WHEN lr.rating >= 2200 THEN 2200
+        ELSE 0
+      END AS min_rating,
+      DATE_TRUNC('month', lr.start_time) AS month,
+      COUNT(*) AS appearances,
+      COUNT(*) FILTER (WHERE ls.rule_id = 1) AS rule1,
+      COUNT(*) FILTER (WHERE ls.rule_id = 2) AS rule2,
+      COUNT(*) FILTER (WHERE ls.rule_id = 3) AS rule3,
+      COUNT(*) FILTER (WHERE ls.rule_id = 4) AS rule4,
+      MIN(lr.start_time) AS first_appearance,
+      MAX(lr.start_time) AS last_appearance,
+      SUM(lr.rank) AS rank_sum,
+      MAX(lr.rating) AS best_rating
+    FROM league_rankings lr
+  INNER JOIN league_schedules ls ON ls.start_time = lr.start_time
+  GROUP BY 1, 2, 3, 4
+)
+SELECT *, RANK() OVER (PARTITION BY min_rating, group_type ORDER BY appearances DESC, months DESC) FROM (
+  SELECT
+      thresholds.min_rating,
+      COALESCE(monthly.group_type::VARCHAR, 'all') AS group_type,
+      monthly.player_id,
+      COUNT(DISTINCT monthly.month) AS months,
+      SUM(monthly.appearances)::BIGINT AS appearances,
+      SUM(monthly.rule1)::BIGINT,
+      SUM(monthly.rule2)::BIGINT,
+      SUM(monthly.rule3)::BIGINT,
+      SUM(monthly.rule4)::BIGINT,
+      MIN(monthly.first_appearance),
+      MAX(monthly.last_appearance),
+      ROUND(SUM(monthly.rank_sum)::NUMERIC / SUM(monthly.appearances), 1),
+      MAX(monthly.best_rating)
+    FROM monthly
+  INNER JOIN (VALUES (0), (2200), (2400), (2600), (2800), (3000)) AS thresholds (min_rating)
+    ON monthly.min_rating >= thresholds.min_rating
+  GROUP BY GROUPING SETS ((thresholds.min_rating, monthly.player_id), (thresholds.min_rating, monthly.group_type, monthly.player_id))
+) AS players;
+CREATE UNIQUE INDEX IF NOT EXISTS league_hall_of_fame_mv_min_rating_group_type_player_id_idx ON league_hall_of_fame_mv (min_rating, group_type, player_id);
+CREATE INDEX IF NOT EXISTS league_hall_of_fame_mv_appearances_idx ON league_hall_of_fame_mv (min_rating, group_type, appearances DESC, months DESC, player_id);
+
+-- Counted for each region ('all' for every region).
+CREATE MATERIALIZED VIEW IF NOT EXISTS splatfest_hall_of_fame_mv
+  (region, player_id, months, appearances, first_appearance, last_appearance, average_rank, best_rating, rank)
+AS SELECT *, RANK() OVER (PARTITION BY region ORDER BY appearances DESC, months DESC) FROM (
+  SELECT
+      COALESCE(sr.region::VARCHAR, 'all') AS region,
+      sr.player_id,
+      COUNT(DISTINCT DATE_TRUNC('month', ss.start_time)) AS months,
+      COUNT(*) AS appearances,
+      MIN(ss.start_time),
+      MAX(ss.start_time),
+      ROUND(AVG(sr.rank), 1),
+      MAX(sr.rating)
+    FROM splatfest_rankings sr
+  INNER JOIN splatfest_schedules ss ON ss.region = sr.region AND ss.splatfest_id = sr.splatfest_id
+  GROUP BY GROUPING SETS ((sr.player_id), (sr.region, sr.player_id))
+) AS players;
+CREATE UNIQUE INDEX IF NOT EXISTS splatfest_hall_of_fame_mv_region_player_id_idx ON splatfest_hall_of_fame_mv (region, player_id);
+CREATE INDEX IF NOT EXISTS splatfest_hall_of_fame_mv_appearances_idx ON splatfest_hall_of_fame_mv (region, appearances DESC, months DESC, player_id);
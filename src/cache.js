@@ -2,11 +2,17 @@
 const cacheManager = require('cache-manager');
 const fsStore = require('cache-manager-fs');
 
+const compositionsLeague = 'compositions_league';
 const distributionsLeague = 'distributions_league';
 const distributionsX = 'distributions_x';
+const synergyLeague = 'synergy_league';
+const xPeakRatings = 'x_peak_ratings';
 const cacheKeys = {
+  [compositionsLeague]: compositionsLeague,
   [distributionsLeague]: distributionsLeague,
   [distributionsX]: distributionsX,
+  [synergyLeague]: synergyLeague,
+  [xPeakRatings]: xPeakRatings,
 };
 
 const MAX_SAFE_DATE = 8.64e15;
@@ -0,0 +1,69 @@
+const moment = require('moment-timezone');
+const Cache = require('./cache');
+const { negotiateFormat } = require('./formats');
+const { queryLastIngestedAt } = require('./query');
+
+/**
+ * @desc Query when given datasets were ingested last time.
+ * @param {Array<('league'|'x'|'splatfest')>} datasets
+ * @returns {Promise<?moment.Moment[]>} null if some datasets haven't been ingested since ingestion time has started
+ * to be tracked
+ */
+const queryIngestionTimes = async (datasets) => {
+  const lastIngestedAt = await queryLastIngestedAt();
+  const timestamps = datasets.map((dataset) => lastIngestedAt[dataset]);
+  return timestamps.some((timestamp) => !timestamp) ? null : timestamps.map((timestamp) => moment.utc(timestamp));
+};
+
+const formatVersion = (times) => times.map((time) => time.valueOf().toString(36)).join('.');
+
+/**
+ * @desc Create middleware which sends ETag / Last-Modified based on when given datasets were ingested last time,
+ * and responds with 304 Not Modified if client already has the latest response.
+ * Responses are revalidated on every request (`no-cache`) instead of being cached for fixed duration,
+ * so clients get new data as soon as it's ingested.
+ * @param {...('league'|'x'|'splatfest'|((req) => String[]))} datasets
+ * Datasets the response is built from, or function which returns them from request
+ * @example app.get('/records', conditionalGet('league', 'x'), handler)
+ * @example app.get('/weapons/:rankingType', conditionalGet((req) => [req.params.rankingType]), handler)
+ */
+const conditionalGet = (...datasets) => async (req, res, next) => {
+  try {
+    const times = await queryIngestionTimes(typeof datasets[0] === 'function' ? datasets[0](req) : datasets);
+    if (!times) {
+      next();
+      return;
+    }
+
+    // Representation differs by format (see `./formats`) so it's a part of ETag.
+    res.setHeader('ETag', `W/"${formatVersion(times)}-${negotiateFormat(req)}"`);
+    res.setHeader('Last-Modified', moment.max(times).toDate().toUTCString());
+    res.setHeader('cache-control', 'public, no-cache');
+
+    if (req.fresh) {
+      res.status(304).end();
+      return;
+    }
+
+    next();
+  } catch (e) {
+    next(e);
+  }
+};
+
+/**
+ * @desc Same as `Cache.wrap`, but the cached value is discarded as soon as any of given datasets is ingested,
+ * so that it never goes out of sync with ETag sent by `conditionalGet`.
+ * @param {Array<('league'|'x'|'splatfest')>} datasets Datasets the value is built from
+ * @param {String} key
+ * @param {() => Promise<*>} fn
+ * @param {Object} [options] Options of `Cache.wrap` (e.g. `{ ttl: 86400 }`)
+ * @example cacheUntilIngested(['x'], Cache.keys.distributions_x, () => queryRatingDistributions(args))
+ */
+const cacheUntilIngested = async (datasets, key, fn, options) => {
+  const times = await queryIngestionTimes(datasets);
+  // Values of older versions are never read again, and removed when they expire.
+  return Cache.wrap(`${key}@${times ? formatVersion(times) : 'untracked'}`, fn, options);
+};
+
+module.exports = { cacheUntilIngested, conditionalGet };
@@ -6,8 +6,7 @@ const { db } = require('./db');
 const { findRuleId, rankedRules, getOriginalWeaponId } = require('./data');
 const { queryUnfetchedSplatfests } = require('./query');
 const { splatnetUrl, getSplatnetApi } = require('./splatnet');
-const { wait } = require('./util');
-const Cache = require('./cache');
+const { isMonthlyLeagueBattle, wait } = require('./util');
 
 /**
  * @desc Fallback function for cacheImageFromSplatoon2Ink.
@@ -78,25 +77,71 @@ const cacheImageFromSplatoon2Ink = async (remotePath, id) => {
 };
 
 /**
+ * @desc Record that a player used a name at given time. Keeps the earliest and latest time for each name.
  * @param {String} playerId
  * @param {String} playerName
- * @param {Number} lastUsed unix timestamp
+ * @param {Number} usedAt unix timestamp
  */
-const insertKnownNames = (playerId, playerName, lastUsed) =>
+const insertKnownNames = (playerId, playerName, usedAt) =>
   db.raw(
     `INSERT
-    INTO player_known_names (player_id, player_name, last_used)
-    VALUES (:playerId, :playerName, to_timestamp(:lastUsed))
+    INTO player_known_names (player_id, player_name, first_seen, last_used)
+    VALUES (:playerId, :playerName, to_timestamp(:usedAt), to_timestamp(:usedAt))
     ON CONFLICT ON CONSTRAINT player_known_names_pkey
-    DO UPDATE SET last_used =
-      CASE
-        WHEN to_timestamp(:lastUsed) > player_known_names.last_used THEN to_timestamp(:lastUsed)
-        ELSE player_known_names.last_used
-      END
+    DO UPDATE SET
+      first_seen =
+        CASE
+          WHEN to_timestamp(:usedAt) < player_known_names.first_seen THEN to_timestamp(:usedAt)
+          ELSE player_known_names.first_seen
+        END,
+      last_used =
+        CASE
+          WHEN to_timestamp(:usedAt) > player_known_names.last_used THEN to_timestamp(:usedAt)
+          ELSE player_known_names.last_used
+        END
 `,
-    { playerId, playerName, lastUsed },
+    { playerId, playerName, usedAt },
   );
 
+/**
+ * @param {'league'|'x'|'splatfest'} dataset
+ * @example
+ * // Mark League Ranking as updated within a transaction
+ * updateLastIngestedAt('league').transacting(trx)
+ */
+const updateLastIngestedAt = (dataset) =>
+  db.raw(
+    `INSERT
+    INTO dataset_ingestions (dataset, last_ingested_at)
+    VALUES (?, now())
+    ON CONFLICT (dataset)
+    DO UPDATE SET last_ingested_at = EXCLUDED.last_ingested_at`,
+    [dataset],
+  );
+
+// Materialized views built from each dataset, in the order they have to be refreshed.
+const materializedViews = {
+  league: ['league_team_peaks_mv', 'league_combined_team_peaks_mv', 'league_hall_of_fame_mv'],
+  x: ['x_peak_ratings_mv', 'x_combined_peak_ratings_mv', 'x_hall_of_fame_mv'],
+  splatfest: ['splatfest_hall_of_fame_mv'],
+};
+
+/**
+ * @desc Refresh materialized views built from the dataset, after ingested rankings are committed.
+ * The dataset is marked as updated again so that responses built from outdated views get new ETag.
+ * Failures are only logged because ingested rankings must be kept anyway, and views are refreshed on next ingestion.
+ * @param {'league'|'x'|'splatfest'} dataset
+ * @returns {Promise<void>} Never rejects
+ */
+const refreshMaterializedViews = (dataset) =>
+  materializedViews[dataset]
+    .reduce(
+      (promise, view) => promise.then(() => db.raw('REFRESH MATERIALIZED VIEW CONCURRENTLY ??', [view])),
+      Promise.resolve(),
+    )
+    .then(() => updateLastIngestedAt(dataset))
+    .catch((err) => console.error(`Failed to refresh materialized views of ${dataset}:`, err));
+
 /**
  * @param {Boolean} forceFetch Forces to fetch even when there's future schedules already.
  */
@@ -122,14 +167,28 @@ const fetchStageRotations = (forceFetch) =>
                   cacheImageFromSplatoon2Ink(stage.image, stage.id);
                 });
 
-                return db.raw(
-                  `
+                return db
+                  .raw(
+                    `
               INSERT
                 INTO league_schedules (start_time, rule_id, stage_ids)
                 VALUES (to_timestamp(?), ?, ?)
                 ON CONFLICT (start_time) DO NOTHING`,
-                  [league.start_time, findRuleId(league.rule.key), stageIds],
-                );
+                    [league.start_time, findRuleId(league.rule.key), stageIds],
+                  )
+                  .then(() => {
+                    if (!isMonthlyLeagueBattle(league.start_time * 1000)) {
+                      return null;
+                    }
+                    return db.raw(
+                      `
+              INSERT
+                INTO monthly_league_battle_schedules (start_time)
+                VALUES (to_timestamp(?))
+                ON CONFLICT (start_time) DO NOTHING`,
+                      [league.start_time],
+                    );
+                  });
               });
 
               Promise.all(queries)
@@ -266,12 +325,14 @@ const fetchLeagueRanking = async (leagueId) => {
 
     try {
       await Promise.all(queries);
+      await updateLastIngestedAt('league').transacting(trx);
       await trx.commit();
     } catch (err) {
       await trx.rollback(err);
       throw err;
     }
   });
+  await refreshMaterializedViews('league');
 
   return ranking;
 };
@@ -288,8 +349,6 @@ const fetchXRanking = (year, month, shouldWait = true) =>
   new Promise((resolve, reject) => {
     let duration = 1;
 
-    Cache.del(Cache.keys.distributions);
-
     if (year === 2018 && (month === 4 || month === 5)) {
       month = 4; // eslint-disable-line no-param-reassign
       duration = 2;
@@ -345,6 +404,8 @@ const fetchXRanking = (year, month, shouldWait = true) =>
       /* eslint-enable no-restricted-syntax, no-await-in-loop */
     })()
       .then(() => db.raw('REFRESH MATERIALIZED VIEW CONCURRENTLY latest_player_names_mv;'))
+      .then(() => updateLastIngestedAt('x'))
+      .then(() => refreshMaterializedViews('x'))
       .then(() => resolve())
       .catch((err) => reject(err));
   });
@@ -422,8 +483,10 @@ const fetchSplatfestRanking = (region, splatfestId) => {
       })
       .then((queries) =>
         Promise.all(queries)
+          .then(() => updateLastIngestedAt('splatfest').transacting(trx))
           .then(() => trx.commit())
           .then(() => db.raw('REFRESH MATERIALIZED VIEW CONCURRENTLY latest_player_names_mv;'))
+          .then(() => refreshMaterializedViews('splatfest'))
           .catch((err) => trx.rollback(err)),
       );
   });
@@ -113,6 +113,10 @@ const rankedRules = [
 ];
 const rankedRuleIds = rankedRules.map((rule) => rule.id);
 
+// Rating thresholds of league hall of fame, which is precomputed for each of them.
+// Keep this in sync with `league_hall_of_fame_mv` in sql/create_tables.sql.
+const leagueHallOfFameMinRatings = [2200, 2400, 2600, 2800, 3000];
+
 const findSpecialWeaponId = memoize((key) => specialWeapons.find((specialWeapon) => specialWeapon.key === key).id);
 const findSubWeaponId = memoize((key) => subWeapons.find((subWeapon) => subWeapon.key === key).id);
 const findWeaponClassId = memoize((key) => weaponClasses.find((weaponClass) => weaponClass.key === key).id);
@@ -124,6 +128,7 @@ module.exports = {
   getOriginalWeaponId,
   getWeaponReskins,
   groupTypes,
+  leagueHallOfFameMinRatings,
   weaponClasses,
   specialWeapons,
   subWeapons,
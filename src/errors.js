@@ -1,5 +1,64 @@
+/* eslint-disable max-classes-per-file */
 const ExtensibleCustomError = require('extensible-custom-error');
 
 class NintendoAPIError extends ExtensibleCustomError {}
 
-module.exports = { NintendoAPIError };
+/**
+ * @desc Base class for errors sent to API clients as `{ error: { code, message, details } }`.
+ */
+class APIError extends ExtensibleCustomError {
+  /**
+   * @param {String} message
+   * @param {*} [details] Additional information for clients (e.g. list of invalid parameters)
+   */
+  constructor(message, details = null) {
+    super(message);
+    this.statusCode = 500;
+    this.code = 'internal_server_error';
+    this.details = details;
+  }
+}
+
+class BadRequestError extends APIError {
+  constructor(message, details) {
+    super(message, details);
+    this.statusCode = 400;
+    this.code = 'bad_request';
+  }
+}
+
+/**
+ * @desc Thrown when parameters don't match OpenAPI document.
+ * `details` is an array of `{ in, name, message }`.
+ */
+class ValidationError extends BadRequestError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = 'invalid_parameters';
+  }
+}
+
+class NotFoundError extends APIError {
+  constructor(message, details) {
+    super(message, details);
+    this.statusCode = 404;
+    this.code = 'not_found';
+  }
+}
+
+class UnprocessableEntityError extends APIError {
+  constructor(message, details) {
+    super(message, details);
+    this.statusCode = 422;
+    this.code = 'unprocessable_entity';
+  }
+}
+
+module.exports = {
+  NintendoAPIError,
+  APIError,
+  BadRequestError,
+  ValidationError,
+  NotFoundError,
+  UnprocessableEntityError,
+};
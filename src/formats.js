@@ -0,0 +1,89 @@
+const { Readable } = require('stream');
+
+const mediaTypes = {
+  json: 'application/json',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson',
+};
+
+/**
+ * @desc Determine response format from `format` query string, or from Accept header if it's not given.
+ * @returns {'json'|'csv'|'ndjson'}
+ */
+const negotiateFormat = (req) => {
+  if (Object.keys(mediaTypes).includes(req.query.format)) {
+    return req.query.format;
+  }
+
+  const mediaType = req.accepts(Object.values(mediaTypes));
+  return Object.keys(mediaTypes).find((format) => mediaTypes[format] === mediaType) || 'json';
+};
+
+/**
+ * @desc Escape value to be used as a CSV field.
+ * @example escapeCsvValue('a "quoted", text') === '"a ""quoted"", text"'
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const string = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(string) ? `"${string.replace(/"/g, '""')}"` : string;
+};
+
+/**
+ * @desc Collect keys of all rows in order of appearance, so that columns missing in the first row are kept.
+ * @param {Object[]} rows
+ * @returns {String[]}
+ * @example collectColumns([{ a: 1 }, { a: 2, b: 3 }]) // ['a', 'b']
+ */
+const collectColumns = (rows) => [...new Set(rows.flatMap((row) => Object.keys(row)))];
+
+/**
+ * @desc Send rows as JSON, CSV or NDJSON depending on request.
+ * Rows are already loaded in memory; only CSV and NDJSON serialization is streamed row by row,
+ * so that the whole body is never built as a single string.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {Object[]} rows
+ * @param {Object} [options]
+ * @param {String} [options.filename] Filename without extension, for CSV and NDJSON downloads
+ * @param {(row: Object) => Object[]} [options.flatten] Convert nested row into flat rows for CSV and NDJSON
+ * @param {String[]} [options.columns] CSV columns. Defaults to keys of all rows (see `collectColumns`).
+ */
+const sendRows = (req, res, rows, { filename, flatten, columns: explicitColumns } = {}) => {
+  res.vary('Accept');
+
+  const format = negotiateFormat(req);
+  if (format === 'json') {
+    res.json(rows);
+    return;
+  }
+
+  const flatRows = flatten ? rows.flatMap(flatten) : rows;
+  const columns = explicitColumns ?? collectColumns(flatRows);
+
+  function* generateLines() {
+    if (format === 'csv') {
+      yield `${columns.map(escapeCsvValue).join(',')}\r\n`;
+      // eslint-disable-next-line no-restricted-syntax
+      for (const row of flatRows) {
+        yield `${columns.map((column) => escapeCsvValue(row[column])).join(',')}\r\n`;
+      }
+    } else {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const row of flatRows) {
+        yield `${JSON.stringify(row)}\n`;
+      }
+    }
+  }
+
+  res.type(mediaTypes[format]);
+  if (filename) {
+    res.attachment(`${filename}.${format}`);
+  }
+  Readable.from(generateLines()).pipe(res);
+};
+
+module.exports = { collectColumns, escapeCsvValue, mediaTypes, negotiateFormat, sendRows };
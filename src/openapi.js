@@ -0,0 +1,1457 @@
+const { groupTypes, leagueHallOfFameMinRatings, rankedRules, stages, weaponClasses } = require('./data');
+const { ValidationError } = require('./errors');
+
+const ruleKeys = rankedRules.map((rule) => rule.key);
+const ref = (path) => ({ $ref: `#/components/${path}` });
+
+const pathParameter = (name, schema, description) => ({ name, in: 'path', required: true, description, schema });
+const queryParameter = (name, schema, description, required = false) => ({
+  name,
+  in: 'query',
+  required,
+  description,
+  schema,
+});
+
+const jsonResponse = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const errorResponse = (description) => jsonResponse(description, ref('schemas/Error'));
+/**
+ * @desc Response which can also be exported as CSV or NDJSON (see `sendRows` in `./formats`).
+ */
+const exportableResponse = (description, schema) => ({
+  description,
+  content: {
+    'application/json': { schema },
+    'text/csv': { schema: { type: 'string' } },
+    'application/x-ndjson': { schema: { type: 'string' } },
+  },
+});
+const arrayOf = (schema) => ({ type: 'array', items: schema });
+
+/**
+ * @desc Define GET operation.
+ * Every operation may respond with 400 when parameters are invalid, and with 500 on unexpected errors.
+ */
+const get = (summary, parameters, responses) => ({
+  get: {
+    summary,
+    parameters,
+    responses: {
+      ...responses,
+      400: ref('responses/BadRequest'),
+      500: ref('responses/InternalServerError'),
+    },
+  },
+});
+
+const weaponPopularityResponses = {
+  200: exportableResponse('Weapon popularity ordered by count.', arrayOf(ref('schemas/WeaponPopularity'))),
+  404: ref('responses/NotFound'),
+};
+
+const monthlyTrendParameters = [
+  pathParameter('rankingType', { type: 'string', enum: ['x', 'league'] }),
+  ref('parameters/PreviousMonth'),
+  queryParameter(
+    'previous_month_end',
+    ref('schemas/Month'),
+    'Last month (inclusive) of the previous period. Defaults to previous_month.',
+  ),
+  ref('parameters/CurrentMonth'),
+  queryParameter(
+    'current_month_end',
+    ref('schemas/Month'),
+    'Last month (inclusive) of the current period. Defaults to current_month.',
+  ),
+  queryParameter('group_type', ref('schemas/GroupType'), 'Only for league.'),
+];
+const monthlyTrendResponses = {
+  200: jsonResponse('Weapon popularity of both periods.', arrayOf(ref('schemas/WeaponTrend'))),
+  404: ref('responses/NotFound'),
+  422: errorResponse('Invalid date(s).'),
+};
+
+const ratingDistributionParameters = [
+  queryParameter('start', { type: 'integer', minimum: 0, maximum: 9999 }, 'Lower bound of the first bucket.'),
+  queryParameter('end', { type: 'integer', minimum: 0, maximum: 9999 }, 'Upper bound (exclusive) of the last bucket.'),
+  queryParameter('interval', { type: 'integer', minimum: 1, maximum: 1000 }, 'Width of buckets.'),
+  queryParameter('from', ref('schemas/Month'), 'First month of the range. Defaults to the first ranking.'),
+  queryParameter('to', ref('schemas/Month'), 'Last month (inclusive) of the range. Defaults to the latest ranking.'),
+  queryParameter(
+    'weapon_id',
+    { type: 'integer', minimum: 0, maximum: 32767 },
+    'Only count rankings with the weapon. Reskins of the weapon are included.',
+  ),
+  queryParameter(
+    'weapon_class',
+    { type: 'string', enum: weaponClasses.map((weaponClass) => weaponClass.key) },
+    'Only count rankings with weapons of the class.',
+  ),
+  queryParameter(
+    'percentiles',
+    { type: 'string', pattern: '^(100|\\d{1,2}(\\.\\d)?)(,(100|\\d{1,2}(\\.\\d)?)){0,9}$' },
+    'Up to 10 comma separated percentiles to compute with at most 1 decimal place, e.g. `50,90,99.9`.',
+  ),
+];
+const ratingDistributionResponses = {
+  422: errorResponse('Invalid rating range, too many buckets or invalid date(s).'),
+};
+
+const leaderboardParameters = [
+  queryParameter('cursor', { type: 'string' }, '`next_cursor` of previous page.'),
+  queryParameter('limit', { type: 'integer', minimum: 1, maximum: 500, default: 100 }),
+];
+const leaderboardResponse = (description, entrySchema) =>
+  jsonResponse(description, {
+    type: 'object',
+    properties: {
+      data: arrayOf(entrySchema),
+      next_cursor: { type: 'string', nullable: true },
+      total: { type: 'integer' },
+    },
+  });
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Splatoon Stats API',
+    version: process.env.npm_package_version || '0.0.1',
+  },
+  paths: {
+    '/': get('Health check.', [], { 200: { description: 'Server is running.' } }),
+    '/openapi.json': get('This document.', [], { 200: jsonResponse('OpenAPI document.', { type: 'object' }) }),
+    '/data': get('Weapons available in rankings.', [], {
+      200: jsonResponse('Weapons.', {
+        type: 'object',
+        properties: {
+          weapons: arrayOf({
+            type: 'object',
+            properties: {
+              weapon_id: { type: 'integer' },
+              is_variant: { type: 'boolean' },
+              class: { type: 'string', enum: weaponClasses.map((weaponClass) => weaponClass.key) },
+            },
+          }),
+        },
+      }),
+    }),
+    '/players/{playerId}': get('Known names and all rankings of a player.', [ref('parameters/PlayerId')], {
+      200: jsonResponse('Player.', {
+        type: 'object',
+        properties: {
+          id: ref('schemas/PlayerId'),
+          name: { type: 'string', nullable: true },
+          names: arrayOf(ref('schemas/KnownName')),
+          rankings: {
+            type: 'object',
+            properties: {
+              x: arrayOf({ type: 'object' }),
+              league: arrayOf({ type: 'object' }),
+              splatfest: arrayOf({ type: 'object' }),
+            },
+          },
+        },
+      }),
+    }),
+    '/players/{playerId}/known_names': get('Known names of a player.', [ref('parameters/PlayerId')], {
+      200: jsonResponse('Known names, most recently used first.', arrayOf(ref('schemas/KnownName'))),
+    }),
+    '/players/{playerId}/names/timeline': get(
+      'Names of a player in the order they were used.',
+      [ref('parameters/PlayerId')],
+      {
+        200: jsonResponse(
+          'Known names ordered by first-seen time. Names without first-seen time come first.',
+          arrayOf(ref('schemas/KnownName')),
+        ),
+      },
+    ),
+    '/players/{playerId}/rankings/{rankingType}': get(
+      'Rankings of a player.',
+      [
+        ref('parameters/PlayerId'),
+        pathParameter('rankingType', { type: 'string', enum: ['league', 'x', 'splatfest'] }),
+      ],
+      { 200: jsonResponse('Ranking records of a player.', arrayOf({ type: 'object' })) },
+    ),
+    '/players/{playerId}/teammates': get(
+      'League teammates of a player.',
+      [
+        ref('parameters/PlayerId'),
+        queryParameter(
+          'depth',
+          { type: 'integer', enum: [1, 2], default: 1 },
+          'Also returns teammate-of-teammate network when it is 2.',
+        ),
+      ],
+      {
+        200: jsonResponse('Teammates ordered by the number of shared league rankings.', {
+          type: 'object',
+          properties: {
+            teammates: arrayOf({
+              type: 'object',
+              properties: {
+                player_id: ref('schemas/PlayerId'),
+                player_name: { type: 'string', nullable: true },
+                count: { type: 'integer', description: 'Number of shared league rankings.' },
+                best_rating: { type: 'number' },
+                first_seen: ref('schemas/Timestamp'),
+                last_seen: ref('schemas/Timestamp'),
+                group_types: arrayOf(ref('schemas/GroupType')),
+              },
+            }),
+            network: {
+              type: 'object',
+              description: 'Only when depth is 2.',
+              properties: {
+                nodes: arrayOf({
+                  type: 'object',
+                  properties: { player_id: ref('schemas/PlayerId'), player_name: { type: 'string', nullable: true } },
+                }),
+                edges: arrayOf({
+                  type: 'object',
+                  properties: {
+                    source: ref('schemas/PlayerId'),
+                    target: ref('schemas/PlayerId'),
+                    count: { type: 'integer' },
+                    best_rating: { type: 'number' },
+                  },
+                }),
+              },
+            },
+          },
+        }),
+      },
+    ),
+    '/players/{playerId}/weapons': get(
+      'Weapons a player used in X, league and splatfest rankings. Reskins are counted as the original weapon.',
+      [
+        ref('parameters/PlayerId'),
+        queryParameter(
+          'timeline',
+          { type: 'boolean', enum: [true, false], default: false },
+          'Also returns weapons used in each month.',
+        ),
+      ],
+      {
+        200: jsonResponse('Weapons ordered by the number of appearances.', {
+          type: 'object',
+          properties: {
+            weapons: arrayOf({
+              type: 'object',
+              properties: {
+                weapon_id: { type: 'integer' },
+                count: { type: 'integer' },
+                first_seen: ref('schemas/Timestamp'),
+                last_seen: ref('schemas/Timestamp'),
+                rankings: {
+                  type: 'object',
+                  description: 'Keyed by ranking type (x, league or splatfest).',
+                  additionalProperties: ref('schemas/WeaponUsage'),
+                },
+              },
+            }),
+            timeline: {
+              description: 'Only when timeline is true.',
+              ...arrayOf({
+                type: 'object',
+                properties: {
+                  month: ref('schemas/Month'),
+                  weapons: arrayOf({
+                    type: 'object',
+                    properties: { weapon_id: { type: 'integer' }, count: { type: 'integer' } },
+                  }),
+                },
+              }),
+            },
+          },
+        }),
+      },
+    ),
+    '/players/{playerId}/summary': get('Stats computed from rankings of a player.', [ref('parameters/PlayerId')], {
+      200: jsonResponse('Summary of a player.', {
+        type: 'object',
+        properties: {
+          x: {
+            type: 'object',
+            description: 'Keyed by rule ID, null if the player has never been in X Ranking of the rule.',
+            additionalProperties: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                peak: {
+                  type: 'object',
+                  properties: {
+                    rating: { type: 'number' },
+                    rank: { type: 'integer' },
+                    start_time: ref('schemas/Timestamp'),
+                    weapon_id: { type: 'integer' },
+                  },
+                },
+                months: { type: 'integer', description: 'Number of months in X Ranking.' },
+                longest_streak: {
+                  type: 'object',
+                  description: 'Longest run of consecutive months in X Ranking.',
+                  properties: {
+                    months: { type: 'integer' },
+                    from: ref('schemas/Timestamp'),
+                    to: ref('schemas/Timestamp'),
+                  },
+                },
+                average_rank: { type: 'number' },
+                percentile: {
+                  type: 'number',
+                  description: 'Share of players in `/distributions/x` whose peak X Power is lower, in percent.',
+                },
+              },
+            },
+          },
+          league: {
+            type: 'object',
+            description: 'Number of league rankings the player appeared in, keyed by group type.',
+            properties: Object.fromEntries(groupTypes.map((groupType) => [groupType.key, { type: 'integer' }])),
+          },
+        },
+      }),
+    }),
+    '/players/search': get(
+      'Search players by name or player ID.',
+      [
+        queryParameter(
+          'name',
+          { type: 'string', minLength: 1 },
+          'Part of player name (the beginning of name if shorter than 3 characters), ' +
+            'or the beginning of player ID (at least 4 characters). ' +
+            'Width of characters, letter case, and hiragana / katakana are ignored.',
+          true,
+        ),
+      ],
+      {
+        200: jsonResponse(
+          'Up to 50 players. Players matched by ID come first, then players ordered by similarity of name.',
+          arrayOf({
+            type: 'object',
+            properties: {
+              player_id: ref('schemas/PlayerId'),
+              player_name: {
+                type: 'string',
+                nullable: true,
+                description: 'Matched name, or the latest name when matched by ID.',
+              },
+              last_used: { type: 'string', nullable: true, example: '2019-01-01 00:00:00' },
+              similarity: { type: 'number', description: 'Trigram similarity of name, between 0 and 1.' },
+              max_x_rating: { type: 'number', nullable: true },
+              ranking_types: arrayOf({ type: 'string', enum: ['x', 'league', 'splatfest'] }),
+            },
+          }),
+        ),
+      },
+    ),
+    '/players/compare': get(
+      'Compare rankings of players side by side.',
+      [
+        queryParameter(
+          'ids',
+          { type: 'string', pattern: '^[\\da-f]{16}(,[\\da-f]{16}){1,9}$' },
+          'Comma separated IDs of 2 to 10 players.',
+          true,
+        ),
+      ],
+      {
+        200: jsonResponse('Rankings of players. Each `players` array is aligned with `ids`, null for no record.', {
+          type: 'object',
+          properties: {
+            players: arrayOf({
+              type: 'object',
+              properties: { id: ref('schemas/PlayerId'), name: { type: 'string', nullable: true } },
+            }),
+            x: {
+              type: 'object',
+              description: 'Keyed by rule ID.',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  months: arrayOf({
+                    type: 'object',
+                    properties: {
+                      start_time: ref('schemas/Timestamp'),
+                      players: arrayOf({
+                        type: 'object',
+                        nullable: true,
+                        properties: {
+                          rank: { type: 'integer' },
+                          rating: { type: 'number' },
+                          weapon_id: { type: 'integer' },
+                        },
+                      }),
+                    },
+                  }),
+                  overlapping_months: {
+                    description: 'Months every player appeared in.',
+                    ...arrayOf(ref('schemas/Timestamp')),
+                  },
+                },
+              },
+            },
+            league: {
+              type: 'object',
+              description: 'Peak ratings keyed by rule ID, then by group type.',
+              additionalProperties: {
+                type: 'object',
+                additionalProperties: arrayOf({
+                  type: 'object',
+                  nullable: true,
+                  properties: {
+                    rating: { type: 'number' },
+                    start_time: ref('schemas/Timestamp'),
+                    weapon_id: { type: 'integer' },
+                  },
+                }),
+              },
+            },
+            splatfest: arrayOf({
+              type: 'object',
+              properties: {
+                region: { type: 'string' },
+                splatfest_id: { type: 'integer' },
+                start_time: ref('schemas/Timestamp'),
+                players: arrayOf({
+                  type: 'object',
+                  nullable: true,
+                  properties: {
+                    team_id: { type: 'integer' },
+                    rank: { type: 'integer' },
+                    rating: { type: 'number' },
+                    weapon_id: { type: 'integer' },
+                  },
+                }),
+              },
+            }),
+          },
+        }),
+        422: errorResponse('Duplicate player IDs.'),
+      },
+    ),
+    '/names/{name}/players': get(
+      'Players who have ever used a name.',
+      [pathParameter('name', { type: 'string', minLength: 1, maxLength: 10 }, 'Exact player name.')],
+      {
+        200: jsonResponse(
+          'Players with the period they used the name, most recently used first.',
+          arrayOf({
+            type: 'object',
+            properties: {
+              player_id: ref('schemas/PlayerId'),
+              first_seen: ref('schemas/Timestamp'),
+              last_used: ref('schemas/Timestamp'),
+              latest_name: { type: 'string', nullable: true, description: 'Name the player uses now.' },
+            },
+          }),
+        ),
+      },
+    ),
+    '/rankings/x/{year}/{month}/{ruleKey}': get(
+      'X Ranking of a month.',
+      [ref('parameters/Year'), ref('parameters/Month'), ref('parameters/RuleKey'), ref('parameters/Format')],
+      {
+        200: exportableResponse('All players in X Ranking ordered by rank.', arrayOf(ref('schemas/XRankingEntry'))),
+        404: ref('responses/NotFound'),
+      },
+    ),
+    '/rankings/x/{year}/{month}/{ruleKey}/movement': get(
+      'Changes in X Ranking from the previous month.',
+      [ref('parameters/Year'), ref('parameters/Month'), ref('parameters/RuleKey')],
+      {
+        200: jsonResponse('Players grouped by how they moved. Rank delta is positive when the player rose.', {
+          type: 'object',
+          properties: {
+            previous_month: ref('schemas/Month'),
+            current_month: ref('schemas/Month'),
+            risers: arrayOf(ref('schemas/XRankingMovement')),
+            fallers: arrayOf(ref('schemas/XRankingMovement')),
+            new_entrants: arrayOf(ref('schemas/XRankingMovement')),
+            dropped_out: arrayOf(ref('schemas/XRankingMovement')),
+            weapon_changes: {
+              description: 'Players who used different weapon in each month. Reskins are treated as the same weapon.',
+              ...arrayOf(ref('schemas/XRankingMovement')),
+            },
+          },
+        }),
+        404: errorResponse('Ranking of the month or the previous month is not available.'),
+      },
+    ),
+    '/rankings/league/{leagueId}': get(
+      'League Ranking.',
+      [
+        pathParameter(
+          'leagueId',
+          { type: 'string', pattern: '^\\d{8}[TP]$' },
+          'League date in `YYMMDDHH` (UTC) followed by group type. e.g.) `19021912T`',
+        ),
+        ref('parameters/Format'),
+      ],
+      {
+        200: exportableResponse(
+          'Groups ordered by rank. CSV and NDJSON have one row per member instead of `group_members`.',
+          arrayOf(ref('schemas/LeagueRankingEntry')),
+        ),
+        404: ref('responses/NotFound'),
+        422: errorResponse('Bad league ID.'),
+      },
+    ),
+    '/rankings/splatfest/{region}/{splatfestId}': get(
+      'Splatfest Ranking.',
+      [ref('parameters/Region'), ref('parameters/SplatfestId'), ref('parameters/Format')],
+      {
+        200: exportableResponse('Players ordered by rank.', arrayOf(ref('schemas/SplatfestRankingEntry'))),
+        404: ref('responses/NotFound'),
+      },
+    ),
+    '/weapons/{weaponType}/{rankingType}/series': get(
+      'Weapon popularity of each month in a range.',
+      [
+        ref('parameters/WeaponType'),
+        pathParameter('rankingType', { type: 'string', enum: ['league', 'x'] }),
+        queryParameter('from', ref('schemas/Month'), 'First month of the range.', true),
+        queryParameter(
+          'to',
+          ref('schemas/Month'),
+          'Last month (inclusive) of the range. Up to 24 months from `from`.',
+          true,
+        ),
+        queryParameter('rule', { type: 'string', enum: ruleKeys }),
+        queryParameter(
+          'ids',
+          { type: 'string', pattern: '^\\d+(,\\d+)*$' },
+          'Comma separated IDs of weapons (or mains, subs, specials) to include. Every weapon is included by default.',
+        ),
+        ref('parameters/Format'),
+      ],
+      {
+        200: exportableResponse(
+          'Weapon popularity of each month. Weapons in `ids` are included even if unused, with rank of null.',
+          arrayOf({
+            type: 'object',
+            properties: {
+              month: ref('schemas/Month'),
+              weapons: arrayOf(ref('schemas/WeaponPopularity')),
+            },
+          }),
+        ),
+        404: ref('responses/NotFound'),
+        422: errorResponse('Invalid date(s) or too long period.'),
+      },
+    ),
+    '/weapons/{weaponType}/league/stages/{stageId}': get(
+      'Weapon popularity in league rotations featuring a stage.',
+      [
+        ref('parameters/WeaponType'),
+        pathParameter('stageId', { type: 'integer', enum: stages.map((stage) => stage.id) }),
+        queryParameter('rule', { type: 'string', enum: ruleKeys }),
+        queryParameter('from', ref('schemas/Month'), 'First month of the range. Defaults to the first ranking.'),
+        queryParameter(
+          'to',
+          ref('schemas/Month'),
+          'Last month (inclusive) of the range. Defaults to the latest ranking.',
+        ),
+        ref('parameters/Format'),
+      ],
+      {
+        200: exportableResponse(
+          'Weapon popularity ordered by count, with average rating of teams using the weapon.',
+          arrayOf({
+            allOf: [
+              ref('schemas/WeaponPopularity'),
+              { type: 'object', properties: { average_rating: { type: 'number' } } },
+            ],
+          }),
+        ),
+        404: ref('responses/NotFound'),
+        422: errorResponse('Invalid date(s).'),
+      },
+    ),
+    '/weapons/{weaponType}/{rankingType}/{year}/{month}': get(
+      'Weapon popularity of a month.',
+      [
+        ref('parameters/WeaponType'),
+        pathParameter('rankingType', { type: 'string', enum: ['league', 'x'] }),
+        ref('parameters/Year'),
+        ref('parameters/Month'),
+        ref('parameters/Format'),
+      ],
+      weaponPopularityResponses,
+    ),
+    '/weapons/{weaponType}/{rankingType}/{year}/{month}/{rule}': get(
+      'Weapon popularity of a month for a rule.',
+      [
+        ref('parameters/WeaponType'),
+        pathParameter('rankingType', { type: 'string', enum: ['league', 'x'] }),
+        ref('parameters/Year'),
+        ref('parameters/Month'),
+        pathParameter('rule', { type: 'string', enum: ruleKeys }),
+        ref('parameters/Format'),
+      ],
+      weaponPopularityResponses,
+    ),
+    '/weapons/{weaponType}/splatfest/{region}/{splatfestId}': get(
+      'Weapon popularity of a Splatfest.',
+      [ref('parameters/WeaponType'), ref('parameters/Region'), ref('parameters/SplatfestId'), ref('parameters/Format')],
+      weaponPopularityResponses,
+    ),
+    '/weapons/{weaponId}/synergy': get(
+      'Weapons used on the same league team as a weapon.',
+      [
+        pathParameter(
+          'weaponId',
+          { type: 'integer', minimum: 0, maximum: 32767 },
+          'Reskins are treated as the original weapon.',
+        ),
+        queryParameter('group_type', ref('schemas/GroupType'), undefined, true),
+        queryParameter('rule', { type: 'string', enum: ruleKeys }),
+      ],
+      {
+        200: jsonResponse('Teammate weapons ordered by count.', {
+          type: 'object',
+          properties: {
+            weapon_id: { type: 'integer', description: 'Original weapon of given weapon.' },
+            count: { type: 'integer', description: 'Number of teams with the weapon.' },
+            weapons: arrayOf({
+              type: 'object',
+              properties: {
+                weapon_id: { type: 'integer' },
+                count: { type: 'integer', description: 'Number of teams with both weapons.' },
+                pair_rate: {
+                  type: 'number',
+                  description: 'Share of teams with the weapon among teams with given weapon.',
+                },
+                baseline_rate: { type: 'number', description: 'Share of teams with the weapon among all teams.' },
+                lift: {
+                  type: 'number',
+                  description: 'pair_rate / baseline_rate. Above 1 means they are paired more often than usual.',
+                },
+                average_rating: { type: 'number', description: 'Average rating of teams with both weapons.' },
+              },
+            }),
+          },
+        }),
+        404: ref('responses/NotFound'),
+      },
+    ),
+    '/trends/{weaponType}/{rankingType}': get(
+      'Difference of weapon popularity between 2 months or ranges of months.',
+      [ref('parameters/WeaponType'), ...monthlyTrendParameters],
+      monthlyTrendResponses,
+    ),
+    '/trends/{weaponType}/{rankingType}/{rule}': get(
+      'Difference of weapon popularity between 2 months or ranges of months for a rule.',
+      [
+        ref('parameters/WeaponType'),
+        pathParameter('rule', { type: 'string', enum: ruleKeys }),
+        ...monthlyTrendParameters,
+      ],
+      monthlyTrendResponses,
+    ),
+    '/trends/{weaponType}/splatfest': get(
+      'Difference of weapon popularity between 2 splatfests.',
+      [
+        ref('parameters/WeaponType'),
+        queryParameter('previous_region', ref('schemas/Region'), undefined, true),
+        queryParameter('previous_splatfest_id', { type: 'integer' }, undefined, true),
+        queryParameter('current_region', ref('schemas/Region'), undefined, true),
+        queryParameter('current_splatfest_id', { type: 'integer' }, undefined, true),
+      ],
+      {
+        200: jsonResponse(
+          'Weapon popularity of both splatfests. `previous_month_*` and `current_month_*` refer to each splatfest.',
+          arrayOf(ref('schemas/WeaponTrend')),
+        ),
+        404: ref('responses/NotFound'),
+      },
+    ),
+    '/compositions/league': get(
+      'The most common weapon compositions of league teams.',
+      [
+        queryParameter('group_type', ref('schemas/GroupType')),
+        queryParameter('rule', { type: 'string', enum: ruleKeys }),
+        queryParameter('from', ref('schemas/Month'), 'First month of the range.'),
+        queryParameter('to', ref('schemas/Month'), 'Last month (inclusive) of the range.'),
+        queryParameter('min_rating', { type: 'number' }, 'Only count teams with at least this rating.'),
+        queryParameter(
+          'limit',
+          { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          'Number of compositions to return for each of weapons and classes.',
+        ),
+      ],
+      {
+        200: jsonResponse(
+          'Compositions ordered by count. Reskins are treated as the original weapon. Teams with missing members are excluded.',
+          {
+            type: 'object',
+            properties: {
+              weapons: arrayOf({
+                type: 'object',
+                properties: {
+                  weapon_ids: { description: 'Sorted weapon IDs.', ...arrayOf({ type: 'integer' }) },
+                  count: { type: 'integer' },
+                  average_rating: { type: 'number' },
+                  best_rating: { type: 'number' },
+                },
+              }),
+              classes: arrayOf({
+                type: 'object',
+                properties: {
+                  weapon_class_ids: { description: 'Sorted weapon class IDs.', ...arrayOf({ type: 'integer' }) },
+                  count: { type: 'integer' },
+                  average_rating: { type: 'number' },
+                  best_rating: { type: 'number' },
+                },
+              }),
+            },
+          },
+        ),
+        422: errorResponse('Invalid date(s).'),
+      },
+    ),
+    '/leaderboards/x/all': get(
+      'Players ordered by sum or average of their best X Power of all time in each rule.',
+      [
+        queryParameter(
+          'sort',
+          { type: 'string', enum: ['total', 'average'], default: 'total' },
+          'Order by sum or average of best ratings. Note that players who played fewer rules have lower sum.',
+        ),
+        ...leaderboardParameters,
+      ],
+      {
+        200: leaderboardResponse('Page of players.', {
+          type: 'object',
+          properties: {
+            rank: { type: 'integer' },
+            player_id: ref('schemas/PlayerId'),
+            player_name: { type: 'string', nullable: true },
+            rules_count: { type: 'integer', description: 'Number of rules the player appeared in X Ranking.' },
+            total_rating: { type: 'number' },
+            average_rating: { type: 'number' },
+            peaks: {
+              description: 'Best rating keyed by rule id.',
+              type: 'object',
+              additionalProperties: { type: 'number' },
+            },
+          },
+        }),
+      },
+    ),
+    '/leaderboards/x/{ruleKey}': get(
+      'Players ordered by their best X Power of all time.',
+      [ref('parameters/RuleKey'), ...leaderboardParameters],
+      {
+        200: leaderboardResponse('Page of players. Each player appears once with the earliest month of their best.', {
+          type: 'object',
+          properties: {
+            rank: { type: 'integer' },
+            player_id: ref('schemas/PlayerId'),
+            player_name: { type: 'string', nullable: true },
+            rating: { type: 'number' },
+            start_time: ref('schemas/Timestamp'),
+            weapon_id: { type: 'integer' },
+            monthly_rank: { type: 'integer', description: 'Rank in X Ranking of the month.' },
+          },
+        }),
+      },
+    ),
+    '/leaderboards/league/{groupType}/all': get(
+      'League teams ordered by sum or average of their best rating of all time in each rule.',
+      [
+        pathParameter('groupType', ref('schemas/GroupType')),
+        queryParameter(
+          'sort',
+          { type: 'string', enum: ['total', 'average'], default: 'total' },
+          'Order by sum or average of best ratings. Note that teams which played fewer rules have lower sum.',
+        ),
+        ...leaderboardParameters,
+      ],
+      {
+        200: leaderboardResponse('Page of teams. Teams with the same members are the same team.', {
+          type: 'object',
+          properties: {
+            rank: { type: 'integer' },
+            members: arrayOf({
+              type: 'object',
+              properties: { player_id: ref('schemas/PlayerId'), player_name: { type: 'string', nullable: true } },
+            }),
+            rules_count: { type: 'integer', description: 'Number of rules the team appeared in the ranking.' },
+            total_rating: { type: 'number' },
+            average_rating: { type: 'number' },
+            peaks: {
+              description: 'Best rating keyed by rule id.',
+              type: 'object',
+              additionalProperties: { type: 'number' },
+            },
+          },
+        }),
+      },
+    ),
+    '/leaderboards/league/{groupType}/{ruleKey}': get(
+      'League teams ordered by their best rating of all time.',
+      [pathParameter('groupType', ref('schemas/GroupType')), ref('parameters/RuleKey'), ...leaderboardParameters],
+      {
+        200: leaderboardResponse(
+          'Page of teams. Teams with the same members are the same team and appear once with the earliest rotation of their best.',
+          {
+            type: 'object',
+            properties: {
+              rank: { type: 'integer' },
+              start_time: ref('schemas/Timestamp'),
+              group_id: { type: 'string' },
+              rating: { type: 'number' },
+              appearances: { type: 'integer', description: 'Number of rotations the team appeared in the ranking.' },
+              members: arrayOf(ref('schemas/LeagueGroupMember')),
+            },
+          },
+        ),
+      },
+    ),
+    '/hall-of-fame/{rankingType}': get(
+      'Players ordered by how many times they appeared in rankings.',
+      [
+        pathParameter(
+          'rankingType',
+          { type: 'string', enum: ['x', 'league', 'splatfest'] },
+          'X Ranking is ordered by the number of months, and others are ordered by the number of appearances.',
+        ),
+        queryParameter(
+          'min_rating',
+          { type: 'integer', enum: leagueHallOfFameMinRatings },
+          'Only for league. Only count rankings with at least this rating.',
+        ),
+        queryParameter('group_type', ref('schemas/GroupType'), 'Only for league.'),
+        queryParameter('region', ref('schemas/Region'), 'Only for splatfest.'),
+        ...leaderboardParameters,
+      ],
+      {
+        200: leaderboardResponse('Page of players.', {
+          type: 'object',
+          properties: {
+            rank: { type: 'integer' },
+            player_id: ref('schemas/PlayerId'),
+            player_name: { type: 'string', nullable: true },
+            months: { type: 'integer', description: 'Number of months the player appeared in.' },
+            appearances: {
+              type: 'integer',
+              description: 'Number of rankings the player appeared in, e.g. rule and month for X Ranking.',
+            },
+            rules: {
+              description: 'Number of appearances keyed by rule id. Not available for splatfest.',
+              type: 'object',
+              additionalProperties: { type: 'integer' },
+            },
+            first_appearance: ref('schemas/Timestamp'),
+            last_appearance: ref('schemas/Timestamp'),
+            average_rank: { type: 'number' },
+            best_rating: { type: 'number' },
+          },
+        }),
+      },
+    ),
+    '/schedules/league': get(
+      'Past and upcoming league rotations.',
+      [
+        queryParameter('from', ref('schemas/Month'), 'First month of the range.'),
+        queryParameter('to', ref('schemas/Month'), 'Last month (inclusive) of the range.'),
+        queryParameter('rule', { type: 'string', enum: ruleKeys }),
+        queryParameter('stage', { type: 'integer', enum: stages.map((stage) => stage.id) }),
+        queryParameter('lang', { type: 'string', enum: ['en', 'ja'], default: 'en' }, 'Language of names.'),
+        queryParameter(
+          'cursor',
+          { type: 'string' },
+          '`next_cursor` of previous page. Only past rotations are paginated.',
+        ),
+        queryParameter(
+          'limit',
+          { type: 'integer', minimum: 1, maximum: 500, default: 20 },
+          'Maximum number of past rotations.',
+        ),
+      ],
+      {
+        200: jsonResponse('Rotations. Upcoming ones include the current rotation.', {
+          type: 'object',
+          properties: {
+            upcoming: {
+              description: 'Ordered by start time asc.',
+              ...arrayOf(ref('schemas/LeagueSchedule')),
+            },
+            past: {
+              description: 'Ordered by start time desc.',
+              ...arrayOf({
+                allOf: [
+                  ref('schemas/LeagueSchedule'),
+                  {
+                    type: 'object',
+                    properties: {
+                      rankings: {
+                        description: 'Keyed by group type. Null if the ranking is unavailable.',
+                        type: 'object',
+                        additionalProperties: {
+                          type: 'object',
+                          nullable: true,
+                          properties: {
+                            league_id: { type: 'string', example: '19021912T' },
+                            top_rating: { type: 'number' },
+                          },
+                        },
+                      },
+                      missing_rankings: {
+                        type: 'boolean',
+                        description: 'Whether rankings are known to be missing on SplatNet.',
+                      },
+                    },
+                  },
+                ],
+              }),
+            },
+            next_cursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Cursor for the next page of past rotations. Null if there are no more.',
+            },
+          },
+        }),
+        422: errorResponse('Invalid date(s).'),
+      },
+    ),
+    '/monthly-league-battles': get('Monthly league battles.', [], {
+      200: jsonResponse(
+        'Monthly league battles ordered by start time desc, with the number of groups and the top rating of each group type.',
+        arrayOf({
+          type: 'object',
+          properties: {
+            start_time: ref('schemas/Timestamp'),
+            rule_id: { type: 'integer' },
+            stage_ids: arrayOf({ type: 'integer' }),
+            ...Object.fromEntries(
+              groupTypes.map((groupType) => [
+                groupType.key,
+                {
+                  type: 'object',
+                  properties: {
+                    count: { type: 'integer' },
+                    top_rating: { type: 'number', nullable: true },
+                  },
+                },
+              ]),
+            ),
+          },
+        }),
+      ),
+    }),
+    '/monthly-league-battles/{startTime}': get(
+      'Whole rankings and weapon popularity of a monthly league battle.',
+      [
+        pathParameter(
+          'startTime',
+          { type: 'integer', minimum: 0, maximum: 2147483647 },
+          'Start time of the rotation in Unix time (seconds).',
+        ),
+      ],
+      {
+        200: jsonResponse('Monthly league battle. Rankings and weapons are keyed by group type.', {
+          type: 'object',
+          properties: {
+            start_time: ref('schemas/Timestamp'),
+            rule_id: { type: 'integer' },
+            stage_ids: arrayOf({ type: 'integer' }),
+            rankings: {
+              type: 'object',
+              additionalProperties: arrayOf({
+                type: 'object',
+                properties: {
+                  group_id: { type: 'string' },
+                  rank: { type: 'integer' },
+                  rating: { type: 'number' },
+                  weapon_ids: arrayOf({ type: 'integer' }),
+                  members: arrayOf(ref('schemas/LeagueGroupMember')),
+                },
+              }),
+            },
+            weapons: { type: 'object', additionalProperties: arrayOf(ref('schemas/WeaponPopularity')) },
+          },
+        }),
+        404: ref('responses/NotFound'),
+      },
+    ),
+    '/records': get('All-time records.', [], {
+      200: jsonResponse('Records.', {
+        type: 'object',
+        properties: {
+          cacheHit: { type: 'boolean' },
+          league_rating_records: { type: 'object' },
+          monthly_league_battles_records: arrayOf({ type: 'object' }),
+          weapons_top_players: arrayOf({ type: 'object' }),
+          x_ranked_rating_records: arrayOf(arrayOf({ type: 'object' })),
+        },
+      }),
+    }),
+    '/records/league-weapon': get(
+      'Top League Ranking records of a weapon or a set of weapons, for each rule.',
+      [
+        queryParameter('group_type', ref('schemas/GroupType')),
+        queryParameter('weapon_id', { type: 'integer', minimum: 0 }, 'Either `weapon_id` or `weapon_ids` is required.'),
+        queryParameter(
+          'weapon_ids',
+          { type: 'string', pattern: '^\\d+(,\\d+)*$' },
+          'Comma separated weapon ids. Number of weapons must match number of group members.',
+        ),
+      ],
+      { 200: jsonResponse('Records keyed by rule id.', { type: 'object' }) },
+    ),
+    '/records/x-weapon': get(
+      'Top X Ranking records of a weapon, for each rule. Key `0` is for all rules.',
+      [queryParameter('weapon_id', { type: 'integer', minimum: 0 }, undefined, true)],
+      { 200: jsonResponse('Records keyed by rule id.', { type: 'object' }) },
+    ),
+    '/splatfests': get('Past Splatfests.', [], {
+      200: jsonResponse('Splatfests, most recent first.', arrayOf({ type: 'object' })),
+    }),
+    '/stats': get('Number of stored rankings.', [], {
+      200: jsonResponse('Stats.', {
+        type: 'object',
+        properties: {
+          x_rankings: { type: 'integer' },
+          league_rankings_estimate: { type: 'integer' },
+          splatfests: { type: 'integer' },
+        },
+      }),
+    }),
+    '/distributions/x': get('Distribution of peak X Power of players.', ratingDistributionParameters, {
+      200: jsonResponse('Distributions keyed by rule id.', {
+        type: 'object',
+        additionalProperties: ref('schemas/RatingDistribution'),
+      }),
+      ...ratingDistributionResponses,
+    }),
+    '/distributions/league': get('Distribution of peak League Power of players.', ratingDistributionParameters, {
+      200: jsonResponse('Distributions keyed by group type and rule id.', {
+        type: 'object',
+        properties: Object.fromEntries(
+          groupTypes.map((groupType) => [
+            groupType.key,
+            { type: 'object', additionalProperties: ref('schemas/RatingDistribution') },
+          ]),
+        ),
+      }),
+      ...ratingDistributionResponses,
+    }),
+    '/percentile/{rankingType}': get(
+      'Where a rating falls among peak ratings of players.',
+      [
+        pathParameter('rankingType', { type: 'string', enum: ['x', 'league'] }),
+        queryParameter('rating', { type: 'number' }, undefined, true),
+        queryParameter('rule', { type: 'string', enum: ruleKeys }, undefined, true),
+        queryParameter('group_type', ref('schemas/GroupType'), 'Only for league. Both group types by default.'),
+        queryParameter('month', ref('schemas/Month'), 'Only compare with players in the month. All time by default.'),
+      ],
+      {
+        200: jsonResponse('Peak rating of each player in the scope is compared with the rating.', {
+          type: 'object',
+          properties: {
+            rating: { type: 'number' },
+            count: { type: 'integer', description: 'Number of players.' },
+            lower: { type: 'integer', description: 'Number of players whose peak rating is lower.' },
+            equal: { type: 'integer', description: 'Number of players whose peak rating is the same.' },
+            higher: { type: 'integer', description: 'Number of players whose peak rating is higher.' },
+            rank: { type: 'integer' },
+            percentile: { type: 'number', description: 'Share of players whose peak rating is lower, in percent.' },
+          },
+        }),
+        404: ref('responses/NotFound'),
+        422: errorResponse('Invalid date.'),
+      },
+    ),
+    '/v2/players/{playerId}': get('Known names of a player.', [ref('parameters/PlayerId')], {
+      200: jsonResponse('Player.', {
+        type: 'object',
+        properties: {
+          id: ref('schemas/PlayerId'),
+          name: { type: 'string', nullable: true },
+          names: arrayOf(ref('schemas/KnownName')),
+        },
+      }),
+    }),
+    '/v2/rankings/x/{year}/{month}/{ruleKey}': get(
+      'Page of X Ranking of a month.',
+      [
+        ref('parameters/Year'),
+        ref('parameters/Month'),
+        ref('parameters/RuleKey'),
+        queryParameter('cursor', { type: 'string' }, '`next_cursor` of previous page.'),
+        queryParameter('limit', { type: 'integer', minimum: 1, maximum: 500, default: 100 }),
+        queryParameter('weapon_id', { type: 'integer', minimum: 0 }, 'Reskins of the weapon are included.'),
+        queryParameter('weapon_class', { type: 'string', enum: weaponClasses.map((weaponClass) => weaponClass.key) }),
+        queryParameter('min_rating', { type: 'number' }),
+        queryParameter('max_rating', { type: 'number' }),
+        queryParameter('min_rank', { type: 'integer', minimum: 1 }),
+        queryParameter('max_rank', { type: 'integer', minimum: 1 }),
+        queryParameter('name', { type: 'string', minLength: 1 }, 'Part of player name.'),
+      ],
+      {
+        200: jsonResponse('Page of players ordered by rank.', {
+          type: 'object',
+          properties: {
+            data: arrayOf(ref('schemas/XRankingEntry')),
+            next_cursor: { type: 'string', nullable: true },
+            total: { type: 'integer', description: 'Number of players matching filters.' },
+          },
+        }),
+      },
+    ),
+    '/v2/weapons/{weaponId}/league/leaderboard': get(
+      'Page of league teams which used a weapon.',
+      [
+        pathParameter(
+          'weaponId',
+          { type: 'integer', minimum: 0, maximum: 32767 },
+          'Reskins are treated as the original weapon.',
+        ),
+        queryParameter('cursor', { type: 'string' }, '`next_cursor` of previous page.'),
+        queryParameter('limit', { type: 'integer', minimum: 1, maximum: 500, default: 100 }),
+        queryParameter('group_type', ref('schemas/GroupType')),
+        queryParameter('rule', { type: 'string', enum: ruleKeys }),
+        queryParameter('stage', { type: 'integer', enum: stages.map((stage) => stage.id) }),
+        queryParameter('from', ref('schemas/Month'), 'First month of the range.'),
+        queryParameter('to', ref('schemas/Month'), 'Last month (inclusive) of the range.'),
+        queryParameter(
+          'interval',
+          { type: 'integer', minimum: 1, maximum: 1000, default: 20 },
+          'Width of histogram buckets.',
+        ),
+      ],
+      {
+        200: jsonResponse('Page of teams ordered by rating.', {
+          type: 'object',
+          properties: {
+            weapon_id: { type: 'integer' },
+            data: arrayOf({
+              type: 'object',
+              properties: {
+                start_time: ref('schemas/Timestamp'),
+                group_type: ref('schemas/GroupType'),
+                group_id: { type: 'string' },
+                rank: { type: 'integer' },
+                rating: { type: 'number' },
+                rule_id: { type: 'integer' },
+                stage_ids: arrayOf({ type: 'integer' }),
+                members: arrayOf(ref('schemas/LeagueGroupMember')),
+              },
+            }),
+            next_cursor: { type: 'string', nullable: true },
+            total: { type: 'integer', description: 'Number of teams matching filters.' },
+            histogram: {
+              description:
+                'Number of teams matching filters by rating, in descending order. Empty buckets are omitted.',
+              ...arrayOf({
+                type: 'object',
+                properties: {
+                  rating: { type: 'number', description: 'Lower bound of the bucket.' },
+                  count: { type: 'integer' },
+                },
+              }),
+            },
+          },
+        }),
+        422: errorResponse('Invalid date(s).'),
+      },
+    ),
+  },
+  components: {
+    parameters: {
+      PlayerId: pathParameter('playerId', ref('schemas/PlayerId')),
+      Year: pathParameter('year', { type: 'integer', minimum: 2017, maximum: 9999 }),
+      Month: pathParameter('month', { type: 'integer', minimum: 1, maximum: 12 }),
+      RuleKey: pathParameter('ruleKey', { type: 'string', enum: ruleKeys }),
+      Region: pathParameter('region', ref('schemas/Region')),
+      SplatfestId: pathParameter('splatfestId', { type: 'integer', minimum: 0 }),
+      WeaponType: pathParameter(
+        'weaponType',
+        { type: 'string', enum: ['weapons', 'mains', 'specials', 'subs', 'classes'] },
+        'What to aggregate weapons by. `classes` are weapon classes such as shooter and charger.',
+      ),
+      PreviousMonth: queryParameter('previous_month', ref('schemas/Month'), undefined, true),
+      CurrentMonth: queryParameter('current_month', ref('schemas/Month'), undefined, true),
+      Format: queryParameter(
+        'format',
+        { type: 'string', enum: ['json', 'csv', 'ndjson'] },
+        'Response format. Takes precedence over Accept header.',
+      ),
+    },
+    schemas: {
+      PlayerId: { type: 'string', pattern: '^[\\da-f]{16}$' },
+      GroupType: { type: 'string', enum: groupTypes.map((groupType) => groupType.query) },
+      Region: { type: 'string', enum: ['na', 'eu', 'jp'] },
+      Month: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$', example: '2019-01' },
+      Timestamp: { type: 'string', example: '2019-01-01 00:00:00' },
+      WeaponUsage: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer' },
+          first_seen: ref('schemas/Timestamp'),
+          last_seen: ref('schemas/Timestamp'),
+          best_rating: { type: 'number' },
+        },
+      },
+      KnownName: {
+        type: 'object',
+        properties: {
+          player_name: { type: 'string' },
+          first_seen: {
+            type: 'string',
+            description:
+              'For names recorded before first-seen time started to be tracked, this is the last used time at that point.',
+            example: '2019-01-01 00:00:00',
+          },
+          last_used: ref('schemas/Timestamp'),
+        },
+      },
+      XRankingEntry: {
+        type: 'object',
+        properties: {
+          player_id: ref('schemas/PlayerId'),
+          player_name: { type: 'string', nullable: true },
+          weapon_id: { type: 'integer' },
+          rank: { type: 'integer' },
+          rating: { type: 'number' },
+        },
+      },
+      XRankingMovement: {
+        type: 'object',
+        description: 'Columns of the month the player was not in X Ranking are null.',
+        properties: {
+          player_id: ref('schemas/PlayerId'),
+          player_name: { type: 'string', nullable: true },
+          previous_rank: { type: 'integer', nullable: true },
+          current_rank: { type: 'integer', nullable: true },
+          rank_delta: { type: 'integer', nullable: true },
+          previous_rating: { type: 'number', nullable: true },
+          current_rating: { type: 'number', nullable: true },
+          rating_delta: { type: 'number', nullable: true },
+          previous_weapon_id: { type: 'integer', nullable: true },
+          current_weapon_id: { type: 'integer', nullable: true },
+        },
+      },
+      LeagueRankingEntry: {
+        type: 'object',
+        properties: {
+          group_id: { type: 'string' },
+          rank: { type: 'integer' },
+          rating: { type: 'number' },
+          group_members: {
+            description: 'Array of `[player_id, weapon_id, player_name]`.',
+            ...arrayOf(arrayOf({ type: 'string', nullable: true })),
+          },
+        },
+      },
+      LeagueSchedule: {
+        type: 'object',
+        properties: {
+          start_time: ref('schemas/Timestamp'),
+          end_time: ref('schemas/Timestamp'),
+          rule: {
+            type: 'object',
+            properties: {
+              id: { type: 'integer' },
+              key: { type: 'string', enum: ruleKeys },
+              name: { type: 'string', nullable: true },
+            },
+          },
+          stages: arrayOf({
+            type: 'object',
+            properties: { id: { type: 'integer' }, name: { type: 'string', nullable: true } },
+          }),
+        },
+      },
+      LeagueGroupMember: {
+        type: 'object',
+        properties: {
+          player_id: ref('schemas/PlayerId'),
+          weapon_id: { type: 'integer' },
+          player_name: { type: 'string', nullable: true },
+        },
+      },
+      SplatfestRankingEntry: {
+        type: 'object',
+        properties: {
+          region: { type: 'string' },
+          splatfest_id: { type: 'integer' },
+          team_id: { type: 'integer', description: '0 for alpha, 1 for bravo.' },
+          player_id: ref('schemas/PlayerId'),
+          player_name: { type: 'string', nullable: true },
+          weapon_id: { type: 'integer' },
+          rank: { type: 'integer' },
+          rating: { type: 'number' },
+        },
+      },
+      WeaponPopularity: {
+        type: 'object',
+        description:
+          'Id column is one of `weapon_id`, `sub_weapon_id`, `special_weapon_id` or `weapon_class_id`, depending on weaponType.',
+        properties: {
+          weapon_id: { type: 'integer' },
+          sub_weapon_id: { type: 'integer' },
+          special_weapon_id: { type: 'integer' },
+          weapon_class_id: { type: 'integer' },
+          count: { type: 'integer' },
+          rank: { type: 'integer' },
+          percentage: { type: 'number' },
+        },
+      },
+      WeaponTrend: {
+        type: 'object',
+        properties: {
+          weapon_id: { type: 'integer' },
+          previous_month_count: { type: 'integer' },
+          current_month_count: { type: 'integer' },
+          previous_month_rank: { type: 'integer' },
+          current_month_rank: { type: 'integer' },
+        },
+      },
+      RatingDistribution: {
+        type: 'object',
+        description: 'Peak rating of each player within filters is counted. Keys of objects are ratings.',
+        properties: {
+          count: { type: 'integer', description: 'Number of players.' },
+          distributions: {
+            description: 'Number of players whose peak rating is at least the key.',
+            type: 'object',
+            additionalProperties: { type: 'integer' },
+          },
+          buckets: {
+            description:
+              'Number of players whose peak rating is at least the key and lower than the key plus interval.',
+            type: 'object',
+            additionalProperties: { type: 'integer' },
+          },
+          percentiles: {
+            description: 'Peak rating at each requested percentile, keyed by the percentile.',
+            type: 'object',
+            additionalProperties: { type: 'number' },
+          },
+        },
+      },
+      Error: {
+        type: 'object',
+        properties: {
+          error: {
+            type: 'object',
+            properties: {
+              code: { type: 'string', example: 'not_found' },
+              message: { type: 'string' },
+              details: {
+                nullable: true,
+                description: 'For `invalid_parameters`, array of `{ in, name, message }`.',
+              },
+            },
+          },
+        },
+      },
+    },
+    responses: {
+      BadRequest: errorResponse('Invalid parameter(s).'),
+      NotFound: errorResponse('No ranking is available.'),
+      InternalServerError: errorResponse('Unexpected error.'),
+    },
+  },
+};
+
+const resolveRef = (object) => {
+  if (!object.$ref) {
+    return object;
+  }
+
+  const resolved = object.$ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((acc, key) => acc[key], spec);
+  return resolveRef(resolved);
+};
+
+/**
+ * @desc Validate a parameter value (always a string) against its schema.
+ * @returns {?String} Error message, or null if the value is valid.
+ */
+const validateValue = (value, schema) => {
+  if (typeof value !== 'string') {
+    return 'must be a single value';
+  }
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const pattern = schema.type === 'integer' ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+    if (!pattern.test(value)) {
+      return `must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`;
+    }
+    if (schema.minimum !== undefined && Number(value) < schema.minimum) {
+      return `must be greater than or equal to ${schema.minimum}`;
+    }
+    if (schema.maximum !== undefined && Number(value) > schema.maximum) {
+      return `must be less than or equal to ${schema.maximum}`;
+    }
+  }
+
+  if (schema.enum && !schema.enum.map(String).includes(value)) {
+    return `must be one of ${schema.enum.join(', ')}`;
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    return `must be at least ${schema.minLength} character(s)`;
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return `must be at most ${schema.maxLength} character(s)`;
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    return `must match ${schema.pattern}`;
+  }
+
+  return null;
+};
+
+/**
+ * @desc Create middleware which validates path parameters and query strings against the operation in `spec`.
+ * @param {String} path Path of the operation in OpenAPI format
+ * @example app.get('/players/:playerId', validateRequest('/players/{playerId}'), handler)
+ */
+const validateRequest = (path) => {
+  if (!spec.paths[path]) {
+    throw new TypeError(`${path} is not defined in OpenAPI document.`);
+  }
+
+  const parameters = spec.paths[path].get.parameters.map(resolveRef).map((parameter) => ({
+    ...parameter,
+    schema: resolveRef(parameter.schema),
+  }));
+
+  return (req, res, next) => {
+    const errors = [];
+
+    parameters.forEach((parameter) => {
+      const value = (parameter.in === 'path' ? req.params : req.query)[parameter.name];
+
+      if (value === undefined || value === '') {
+        if (parameter.required) {
+          errors.push({ in: parameter.in, name: parameter.name, message: 'is required' });
+        }
+        return;
+      }
+
+      const message = validateValue(value, parameter.schema);
+      if (message) {
+        errors.push({ in: parameter.in, name: parameter.name, message });
+      }
+    });
+
+    if (errors.length) {
+      next(new ValidationError('Invalid parameter(s).', errors));
+      return;
+    }
+
+    next();
+  };
+};
+
+module.exports = { spec, validateRequest, validateValue };
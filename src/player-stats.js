@@ -0,0 +1,322 @@
+const moment = require('moment-timezone');
+const Cache = require('./cache');
+const { cacheUntilIngested } = require('./conditional-get');
+const { getOriginalWeaponId, groupTypes, rankedRuleIds } = require('./data');
+const {
+  getKnownNames,
+  queryLeagueTeammateNetwork,
+  queryPlayerLeagueAppearances,
+  queryPlayerRankingRecords,
+  queryPlayerWeaponUsage,
+  queryXPeakRatings,
+} = require('./query');
+
+/**
+ * @desc Fetch known names and all rankings of a player.
+ * @param {String} playerId
+ */
+const queryPlayer = async (playerId) => {
+  const [names, x, league, splatfest] = await Promise.all([
+    getKnownNames(playerId),
+    ...['x', 'league', 'splatfest'].map((rankingType) => queryPlayerRankingRecords(rankingType, playerId)),
+  ]);
+
+  return {
+    id: playerId,
+    name: names?.[0]?.player_name ?? null,
+    rankings: { x, league, splatfest },
+  };
+};
+
+/**
+ * @desc Compare rankings of players side by side.
+ * Every array named `players` in the result is aligned with `playerIds`, and has null for players without record.
+ * @param {String[]} playerIds
+ */
+const comparePlayers = async (playerIds) => {
+  const players = await Promise.all(playerIds.map(queryPlayer));
+
+  const x = Object.fromEntries(
+    rankedRuleIds.map((ruleId) => {
+      const rankingsByMonth = new Map();
+      players.forEach((player, i) => {
+        player.rankings.x
+          .filter((row) => row.rule_id === ruleId)
+          .forEach((row) => {
+            if (!rankingsByMonth.has(row.start_time)) {
+              rankingsByMonth.set(row.start_time, Array(players.length).fill(null));
+            }
+            rankingsByMonth.get(row.start_time)[i] = { rank: row.rank, rating: row.rating, weapon_id: row.weapon_id };
+          });
+      });
+
+      const months = [...rankingsByMonth.entries()]
+        .sort(([a], [b]) => (a < b ? 1 : -1))
+        .map(([startTime, rankings]) => ({ start_time: startTime, players: rankings }));
+
+      return [
+        ruleId,
+        {
+          months,
+          // Months every player appeared in X Ranking
+          overlapping_months: months.filter((month) => month.players.every(Boolean)).map((month) => month.start_time),
+        },
+      ];
+    }),
+  );
+
+  const league = Object.fromEntries(
+    rankedRuleIds.map((ruleId) => [
+      ruleId,
+      Object.fromEntries(
+        groupTypes.map((groupType) => [
+          groupType.key,
+          players.map((player) =>
+            player.rankings.league
+              .filter((row) => row.rule_id === ruleId && row.group_type === groupType.query)
+              .reduce((peak, row) => {
+                if (peak && peak.rating >= row.rating) {
+                  return peak;
+                }
+                return { rating: row.rating, start_time: row.start_time, weapon_id: row.weapon_id };
+              }, null),
+          ),
+        ]),
+      ),
+    ]),
+  );
+
+  const splatfestsByKey = new Map();
+  players.forEach((player, i) => {
+    player.rankings.splatfest.forEach((row) => {
+      const key = `${row.region}-${row.splatfest_id}`;
+      if (!splatfestsByKey.has(key)) {
+        splatfestsByKey.set(key, {
+          region: row.region,
+          splatfest_id: row.splatfest_id,
+          start_time: row.start_time,
+          players: Array(players.length).fill(null),
+        });
+      }
+      splatfestsByKey.get(key).players[i] = {
+        team_id: row.team_id,
+        rank: row.rank,
+        rating: row.rating,
+        weapon_id: row.weapon_id,
+      };
+    });
+  });
+  const splatfest = [...splatfestsByKey.values()].sort((a, b) => (a.start_time < b.start_time ? 1 : -1));
+
+  return {
+    players: players.map(({ id, name }) => ({ id, name })),
+    x,
+    league,
+    splatfest,
+  };
+};
+
+/**
+ * @desc Aggregate teammates of a player in league rankings, ordered by the number of shared rankings.
+ * @param {String} playerId
+ * @param {Object} [options]
+ * @param {1|2} [options.depth] Also returns teammate-of-teammate network as `network` when it's 2
+ */
+const queryPlayerTeammates = async (playerId, { depth = 1 } = {}) => {
+  const rows = await queryPlayerRankingRecords('league', playerId);
+
+  const teammatesById = new Map();
+  rows.forEach((row) => {
+    (row.teammates ?? []).forEach((teammate) => {
+      if (!teammatesById.has(teammate.player_id)) {
+        teammatesById.set(teammate.player_id, {
+          player_id: teammate.player_id,
+          player_name: teammate.player_name,
+          count: 0,
+          best_rating: row.rating,
+          // Rows are ordered by start_time desc
+          first_seen: row.start_time,
+          last_seen: row.start_time,
+          group_types: [],
+        });
+      }
+
+      const aggregate = teammatesById.get(teammate.player_id);
+      aggregate.count += 1;
+      aggregate.best_rating = Math.max(aggregate.best_rating, row.rating);
+      aggregate.first_seen = row.start_time;
+      if (!aggregate.group_types.includes(row.group_type)) {
+        aggregate.group_types.push(row.group_type);
+      }
+    });
+  });
+
+  const teammates = [...teammatesById.values()].sort(
+    (a, b) => b.count - a.count || b.best_rating - a.best_rating || (a.player_id < b.player_id ? -1 : 1),
+  );
+
+  if (depth < 2) {
+    return { teammates };
+  }
+
+  const network = await queryLeagueTeammateNetwork([playerId, ...teammates.map((teammate) => teammate.player_id)]);
+  return { teammates, network };
+};
+
+/**
+ * @desc Add usage row into aggregated usage. Timestamps are compared as strings.
+ */
+const addUsage = (usage, row) => ({
+  count: (usage?.count ?? 0) + row.count,
+  first_seen: usage && usage.first_seen < row.first_seen ? usage.first_seen : row.first_seen,
+  last_seen: usage && usage.last_seen > row.last_seen ? usage.last_seen : row.last_seen,
+  best_rating: Math.max(usage?.best_rating ?? row.best_rating, row.best_rating),
+});
+
+/**
+ * @desc Aggregate weapons a player used across X, league and splatfest rankings. Reskins are counted as the original.
+ * @param {String} playerId
+ * @param {Object} [options]
+ * @param {Boolean} [options.timeline] Also returns the number of appearances by weapon for each month as `timeline`
+ */
+const queryPlayerWeapons = async (playerId, { timeline = false } = {}) => {
+  const rows = (await queryPlayerWeaponUsage(playerId)).map((row) => ({
+    ...row,
+    weapon_id: getOriginalWeaponId(row.weapon_id),
+  }));
+
+  const weaponsById = new Map();
+  rows.forEach((row) => {
+    const weapon = weaponsById.get(row.weapon_id) ?? { weapon_id: row.weapon_id, total: null, rankings: {} };
+    weapon.total = addUsage(weapon.total, row);
+    weapon.rankings[row.ranking_type] = addUsage(weapon.rankings[row.ranking_type], row);
+    weaponsById.set(row.weapon_id, weapon);
+  });
+  const weapons = [...weaponsById.values()]
+    .sort((a, b) => b.total.count - a.total.count || (a.total.last_seen < b.total.last_seen ? 1 : -1))
+    .map(({ weapon_id: weaponId, total, rankings }) => ({
+      weapon_id: weaponId,
+      // Ratings are not comparable between ranking types, so best rating is only available per ranking type.
+      count: total.count,
+      first_seen: total.first_seen,
+      last_seen: total.last_seen,
+      rankings,
+    }));
+
+  if (!timeline) {
+    return { weapons };
+  }
+
+  const countsByMonth = new Map();
+  rows.forEach((row) => {
+    const counts = countsByMonth.get(row.month) ?? {};
+    counts[row.weapon_id] = (counts[row.weapon_id] ?? 0) + row.count;
+    countsByMonth.set(row.month, counts);
+  });
+
+  return {
+    weapons,
+    // Rows are ordered by month
+    timeline: [...countsByMonth.entries()].map(([month, counts]) => ({
+      month,
+      weapons: Object.entries(counts)
+        .map(([weaponId, count]) => ({ weapon_id: Number(weaponId), count }))
+        .sort((a, b) => b.count - a.count || a.weapon_id - b.weapon_id),
+    })),
+  };
+};
+
+/**
+ * @desc Find the longest run of consecutive months.
+ * @param {String[]} months Start times of months in ascending order
+ * @returns {{ months: Number, from: String, to: String }|null}
+ */
+const findLongestStreak = (months) => {
+  let longest = null;
+  let current = null;
+  months.forEach((month, i) => {
+    if (
+      current &&
+      moment
+        .utc(months[i - 1])
+        .add(1, 'month')
+        .isSame(moment.utc(month))
+    ) {
+      current = { ...current, months: current.months + 1, to: month };
+    } else {
+      current = { months: 1, from: month, to: month };
+    }
+    if (!longest || current.months > longest.months) {
+      longest = current;
+    }
+  });
+  return longest;
+};
+
+/**
+ * @desc Count values less than given value.
+ * @param {Number[]} values Values in ascending order
+ * @param {Number} value
+ */
+const countLessThan = (values, value) => {
+  let low = 0;
+  let high = values.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (values[middle] < value) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+/**
+ * @desc Summarize rankings of a player.
+ * Percentile is the share of players whose peak X Power is lower, same population as `/distributions/x`.
+ * @param {String} playerId
+ */
+const queryPlayerSummary = async (playerId) => {
+  const [xRankings, peakRatings, leagueAppearances] = await Promise.all([
+    queryPlayerRankingRecords('x', playerId),
+    // Peaks of all players are shared by every player, so they are computed once per ingestion.
+    cacheUntilIngested(['x'], Cache.keys.x_peak_ratings, queryXPeakRatings, { ttl: 86400 }),
+    queryPlayerLeagueAppearances(playerId),
+  ]);
+
+  const x = Object.fromEntries(
+    rankedRuleIds.map((ruleId) => {
+      const rows = xRankings
+        .filter((row) => row.rule_id === ruleId)
+        .sort((a, b) => (a.start_time < b.start_time ? -1 : 1));
+      if (!rows.length) {
+        return [ruleId, null];
+      }
+
+      const peak = rows.reduce((a, b) => (b.rating > a.rating ? b : a));
+      const ratings = peakRatings[ruleId] ?? [];
+      return [
+        ruleId,
+        {
+          peak: { rating: peak.rating, rank: peak.rank, start_time: peak.start_time, weapon_id: peak.weapon_id },
+          months: rows.length,
+          longest_streak: findLongestStreak(rows.map((row) => row.start_time)),
+          average_rank: rows.reduce((sum, row) => sum + row.rank, 0) / rows.length,
+          percentile: ratings.length ? (100 * countLessThan(ratings, peak.rating)) / ratings.length : null,
+        },
+      ];
+    }),
+  );
+
+  const league = Object.fromEntries(
+    groupTypes.map((groupType) => [
+      groupType.key,
+      leagueAppearances.find((row) => row.group_type === groupType.query)?.count ?? 0,
+    ]),
+  );
+
+  return { x, league };
+};
+
+module.exports = { comparePlayers, findLongestStreak, queryPlayerSummary, queryPlayerTeammates, queryPlayerWeapons };
@@ -1,6 +1,8 @@
 const Knex = require('knex');
+const memoize = require('memoizee');
 const { db } = require('./db');
-const { getWeaponReskins } = require('./data');
+const { getWeaponReskins, groupTypes, rankedRuleIds } = require('./data');
+const { escapeLikeQuery, normalizePlayerName } = require('./util');
 
 // Note that you may need to add player_names.player_name in select clause.
 const joinLatestName = (tableName) =>
@@ -104,6 +106,240 @@ const queryLeagueWeaponsRuleRecords = (ruleId, groupType, weaponIds) => {
     );
 };
 
+/**
+ * @desc Query the most common weapon compositions of league teams, and the same by weapon class.
+ * Reskins are treated as the original weapon. Groups with missing members are excluded.
+ * @param {Object} args
+ * @param {'T'|'P'} [args.groupType]
+ * @param {Number} [args.ruleId]
+ * @param {String} [args.startTime] Inclusive
+ * @param {String} [args.endTime] Exclusive
+ * @param {Number} [args.minRating]
+ * @param {Number} args.limit Number of compositions for each of weapons and classes
+ * @returns {Promise<{ weapons: Object[], classes: Object[] }>}
+ */
+const queryLeagueCompositions = async (args) => {
+  const { groupType, ruleId, startTime, endTime, minRating, limit } = args;
+
+  const groupsQuery = db
+    .select(
+      db.raw('coalesce(lgr.normalized_weapon_ids, lgr.weapon_ids) as weapon_ids'),
+      db.raw(`(
+        select array_agg(weapons.weapon_class_id order by weapons.weapon_class_id)
+        from unnest(lgr.weapon_ids) as members(weapon_id)
+        inner join weapons on weapons.weapon_id = members.weapon_id
+      ) as weapon_class_ids`),
+      'lgr.rating',
+    )
+    .from({ lgr: 'league_group_rankings' })
+    .whereRaw(
+      `array_length(lgr.weapon_ids, 1) = case lgr.group_type ${groupTypes
+        .map((type) => `when '${type.query}' then ${type.members}`)
+        .join(' ')} end`,
+    )
+    .modify((queryBuilder) => {
+      if (groupType) {
+        queryBuilder.where('lgr.group_type', groupType);
+      }
+      if (ruleId) {
+        queryBuilder
+          .innerJoin({ ls: 'league_schedules' }, 'lgr.start_time', 'ls.start_time')
+          .where('ls.rule_id', ruleId);
+      }
+      if (startTime) {
+        queryBuilder.where('lgr.start_time', '>=', startTime);
+      }
+      if (endTime) {
+        queryBuilder.where('lgr.start_time', '<', endTime);
+      }
+      if (minRating) {
+        queryBuilder.where('lgr.rating', '>=', minRating);
+      }
+    });
+
+  const compositionsQuery = (column) =>
+    db
+      .with('groups', groupsQuery)
+      .select(
+        column,
+        db.raw('count(*) as count'),
+        db.raw('round(avg(rating), 1) as average_rating'),
+        db.raw('max(rating) as best_rating'),
+      )
+      .from('groups')
+      .groupBy(column)
+      .orderBy('count', 'desc')
+      .orderBy('best_rating', 'desc')
+      // Ties are ordered deterministically so that a shorter list is always a prefix of a longer one.
+      .orderBy(column, 'asc')
+      .limit(limit);
+
+  const [weapons, classes] = await Promise.all([
+    compositionsQuery('weapon_ids'),
+    compositionsQuery('weapon_class_ids'),
+  ]);
+  return { weapons, classes };
+};
+
+/**
+ * @desc Query how often each weapon is on the same league team as given weapon.
+ * Reskins are treated as the original weapon, so `weaponId` should be the original one.
+ * `lift` is the ratio of how often the weapon appears with given weapon to how often it appears in any team.
+ * @param {Object} args
+ * @param {Number} args.weaponId
+ * @param {'T'|'P'} args.groupType
+ * @param {Number} [args.ruleId]
+ * @returns {Promise<{ count: Number, weapons: Object[] }>} `count` is the number of teams with given weapon
+ */
+const queryWeaponSynergy = async ({ weaponId, groupType, ruleId }) => {
+  const { rows } = await db.raw(
+    `with members as (
+    select lr.start_time, lr.group_id, lr.player_id, lr.rating, coalesce(weapons.reskin_of, lr.weapon_id) as weapon_id
+      from league_rankings as lr
+      inner join weapons on weapons.weapon_id = lr.weapon_id
+      inner join league_schedules on league_schedules.start_time = lr.start_time
+      where lr.group_type = :groupType
+        and (:ruleId = 0 or league_schedules.rule_id = :ruleId)
+  ),
+  all_groups as (
+    select count(distinct (start_time, group_id)) as count from members
+  ),
+  weapon_groups as (
+    select weapon_id, count(distinct (start_time, group_id)) as count from members group by weapon_id
+  ),
+  target_groups as (
+    select count(distinct (start_time, group_id)) as count from members where weapon_id = :weaponId
+  ),
+  pairs as (
+    select distinct target.start_time, target.group_id, target.rating, teammate.weapon_id
+      from members as target
+      inner join members as teammate
+        on teammate.start_time = target.start_time
+        and teammate.group_id = target.group_id
+        and teammate.player_id != target.player_id
+      where target.weapon_id = :weaponId
+  )
+  select
+      target_groups.count as target_count,
+      pairs.weapon_id,
+      count(pairs.*) as count,
+      1.0 * count(pairs.*) / nullif(target_groups.count, 0) as pair_rate,
+      1.0 * weapon_groups.count / nullif(all_groups.count, 0) as baseline_rate,
+      (1.0 * count(pairs.*) / nullif(target_groups.count, 0)) / (1.0 * weapon_groups.count / nullif(all_groups.count, 0))
+        as lift,
+      round(avg(pairs.rating), 1) as average_rating
+    from target_groups
+    cross join all_groups
+    left outer join pairs on true
+    left outer join weapon_groups on weapon_groups.weapon_id = pairs.weapon_id
+    group by target_groups.count, all_groups.count, pairs.weapon_id, weapon_groups.count
+    order by count desc, lift desc, pairs.weapon_id asc`,
+    { weaponId, groupType, ruleId: ruleId || 0 },
+  );
+
+  return {
+    count: rows[0].target_count,
+    weapons: rows.filter((row) => row.weapon_id !== null).map(({ target_count: _, ...row }) => row),
+  };
+};
+
+/**
+ * @desc Build query of peak rating of each player by rule, within filters.
+ * e.g. It's the best rating of the player with chargers in given months.
+ * @param {Object} args
+ * @param {'x'|'league'} args.rankingType
+ * @param {'T'|'P'} [args.groupType] Both group types are included if it's not given.
+ * @param {Number} [args.ruleId]
+ * @param {String} [args.startTime] Inclusive
+ * @param {String} [args.endTime] Exclusive
+ * @param {Number} [args.weaponId] Reskins of the weapon are included.
+ * @param {Number} [args.weaponClassId]
+ */
+const peakRatingsQuery = (args) => {
+  const { rankingType, groupType, ruleId, startTime, endTime, weaponId, weaponClassId } = args;
+  const tableName = `${rankingType}_rankings`;
+
+  return db
+    .select('player_id', 'rule_id', db.raw('max(rating) as rating'))
+    .from(tableName)
+    .groupBy('player_id', 'rule_id')
+    .modify((queryBuilder) => {
+      if (rankingType === 'league') {
+        queryBuilder.innerJoin('league_schedules', 'league_schedules.start_time', 'league_rankings.start_time');
+      }
+      if (groupType) {
+        queryBuilder.where('group_type', groupType);
+      }
+      if (ruleId) {
+        queryBuilder.where('rule_id', ruleId);
+      }
+      if (startTime) {
+        queryBuilder.where(`${tableName}.start_time`, '>=', startTime);
+      }
+      if (endTime) {
+        queryBuilder.where(`${tableName}.start_time`, '<', endTime);
+      }
+      if (Number.isInteger(weaponId)) {
+        queryBuilder.whereIn('weapon_id', [weaponId, ...getWeaponReskins(weaponId)]);
+      }
+      if (weaponClassId) {
+        queryBuilder.whereIn(
+          'weapon_id',
+          db.select('weapon_id').from('weapons').where('weapon_class_id', weaponClassId),
+        );
+      }
+    });
+};
+
+/**
+ * @desc Query distribution of peak rating of players by rule.
+ * @param {Object} args Filters of `peakRatingsQuery`, and
+ * @param {Number[]} args.ratings Lower bounds of buckets in ascending order
+ * @param {Number} args.interval Width of buckets
+ * @param {Number[]} args.percentiles Fractions between 0 and 1
+ * @returns {Promise<Object[]>} Rows with `rule_id`, `count`, `percentiles`,
+ * `over{rating}` (number of players at or above the rating) and `bucket{rating}` (number of players in the bucket)
+ */
+const queryRatingDistributions = (args) => {
+  const { ratings, interval, percentiles } = args;
+
+  return db
+    .with('peaks', peakRatingsQuery(args))
+    .select(
+      'rule_id',
+      db.raw('count(*) as count'),
+      db.raw('percentile_cont(?::float8[]) within group (order by rating) as percentiles', [percentiles]),
+      ...ratings.map((rating) => db.raw('count(*) filter (where rating >= ?) as ??', [rating, `over${rating}`])),
+      ...ratings.map((rating) =>
+        db.raw('count(*) filter (where rating >= ? and rating < ?) as ??', [
+          rating,
+          rating + interval,
+          `bucket${rating}`,
+        ]),
+      ),
+    )
+    .from('peaks')
+    .groupBy('rule_id')
+    .orderBy('rule_id');
+};
+
+/**
+ * @desc Query where a rating falls among peak ratings of players.
+ * @param {Object} args Filters of `peakRatingsQuery`, and
+ * @param {Number} args.rating
+ * @returns {Promise<{ count: Number, lower: Number, equal: Number, higher: Number }>}
+ */
+const queryRatingPercentile = (args) =>
+  db
+    .with('peaks', peakRatingsQuery(args))
+    .first(
+      db.raw('count(*) as count'),
+      db.raw('count(*) filter (where rating < ?) as lower', [args.rating]),
+      db.raw('count(*) filter (where rating = ?) as equal', [args.rating]),
+      db.raw('count(*) filter (where rating > ?) as higher', [args.rating]),
+    )
+    .from('peaks');
+
 const xWeaponRuleRecordsQuery = (qb, cols, ruleId, weaponId) => {
   const query = qb
     .select(...cols)
@@ -127,17 +363,655 @@ const queryXWeaponRuleRecords = (ruleId, weaponId) =>
 const queryXWeaponRuleRecordsCount = (ruleId, weaponId) =>
   xWeaponRuleRecordsQuery(db, [db.raw('count(*)')], ruleId, weaponId).then(([count]) => count.count);
 
+/**
+ * @desc Query a page of X Ranking for given month and rule, ordered by rank.
+ * Reskins of `weaponId` are included. `after` is `[rank, player_id]` of the last row of previous page.
+ * @returns {Promise<{ rows: Object[]; total: number; }>}
+ * Note that it returns up to `limit + 1` rows so that caller can tell whether there's next page.
+ */
+const queryXRankings = async (args) => {
+  const {
+    startTime,
+    ruleId,
+    weaponId,
+    weaponClassId,
+    minRating,
+    maxRating,
+    minRank,
+    maxRank,
+    name,
+    after,
+    limit,
+  } = args;
+
+  const query = db
+    .from('x_rankings')
+    .leftOuterJoin(joinLatestName('x_rankings'))
+    .where('rule_id', ruleId)
+    .whereRaw('start_time = to_timestamp(?)', [startTime.unix()]);
+
+  if (Number.isInteger(weaponId)) {
+    query.whereIn('x_rankings.weapon_id', [weaponId, ...getWeaponReskins(weaponId)]);
+  }
+  if (weaponClassId) {
+    query.whereIn(
+      'x_rankings.weapon_id',
+      db.select('weapon_id').from('weapons').where('weapon_class_id', weaponClassId),
+    );
+  }
+  if (minRating !== undefined) {
+    query.where('rating', '>=', minRating);
+  }
+  if (maxRating !== undefined) {
+    query.where('rating', '<=', maxRating);
+  }
+  if (minRank !== undefined) {
+    query.where('rank', '>=', minRank);
+  }
+  if (maxRank !== undefined) {
+    query.where('rank', '<=', maxRank);
+  }
+  if (name) {
+    query.where('player_names.player_name', 'ilike', `%${escapeLikeQuery(name)}%`);
+  }
+
+  const pageQuery = query
+    .clone()
+    .select(['x_rankings.player_id', 'weapon_id', 'rank', 'rating', 'player_names.player_name'])
+    .orderBy('rank', 'asc')
+    .orderBy('x_rankings.player_id', 'asc')
+    .limit(limit + 1);
+  if (after) {
+    pageQuery.whereRaw('(rank, x_rankings.player_id) > (?, ?)', after);
+  }
+
+  const [rows, [{ count }]] = await Promise.all([pageQuery, query.clone().count()]);
+  return { rows, total: count };
+};
+
+/**
+ * @desc Select members of league groups as `members` column, which should be parsed by `parseGroupMembers`.
+ * @param {String} tableName Table or alias which has start_time and group_id
+ */
+const selectGroupMembers = (tableName) =>
+  // You can't create array consists of different types so it convert weapon_id into varchar
+  db.raw(
+    `(
+    select array_agg(array[lr.player_id, lr.weapon_id::varchar, player_names.player_name] order by lr.player_id)
+      from league_rankings as lr
+      left outer join ??
+      where lr.start_time = ??.start_time and lr.group_id = ??.group_id
+  ) as members`,
+    [joinLatestName('lr'), tableName, tableName],
+  );
+
+// array_agg() returns null instead of an empty array when no member is found.
+const parseGroupMembers = (members) =>
+  (members ?? []).map((member) => ({
+    player_id: member[0],
+    weapon_id: parseInt(member[1], 10), // Convert back to Int
+    player_name: member[2],
+  }));
+
+/**
+ * @desc Query page of league teams which used the weapon, ordered by rating,
+ * with histogram of ratings of all teams matching filters.
+ * Reskins are treated as the original weapon, so `weaponId` should be the original one.
+ * @param {Object} args
+ * @param {Number} args.weaponId
+ * @param {'T'|'P'} [args.groupType]
+ * @param {Number} [args.ruleId]
+ * @param {Number} [args.stageId]
+ * @param {String} [args.startTime] Inclusive
+ * @param {String} [args.endTime] Exclusive
+ * @param {Number} args.interval Width of histogram buckets
+ * @param {Array} [args.after] Rating, start time and group ID of the last team of previous page
+ * @param {Number} args.limit
+ * @returns {Promise<{ rows: Object[]; total: number; histogram: Object[] }>}
+ * Note that it returns up to `limit + 1` rows so that caller can tell whether there's next page.
+ */
+const queryLeagueWeaponLeaderboard = async (args) => {
+  const { weaponId, groupType, ruleId, stageId, startTime, endTime, interval, after, limit } = args;
+
+  const query = db
+    .from({ lgr: 'league_group_rankings' })
+    .innerJoin({ ls: 'league_schedules' }, 'lgr.start_time', 'ls.start_time')
+    .whereRaw('? = any(coalesce(lgr.normalized_weapon_ids, lgr.weapon_ids))', [weaponId])
+    .modify((queryBuilder) => {
+      if (groupType) {
+        queryBuilder.where('lgr.group_type', groupType);
+      }
+      if (ruleId) {
+        queryBuilder.where('ls.rule_id', ruleId);
+      }
+      if (Number.isInteger(stageId)) {
+        queryBuilder.whereRaw('? = any(ls.stage_ids)', [stageId]);
+      }
+      if (startTime) {
+        queryBuilder.where('lgr.start_time', '>=', startTime);
+      }
+      if (endTime) {
+        queryBuilder.where('lgr.start_time', '<', endTime);
+      }
+    });
+
+  const pageQuery = query
+    .clone()
+    .select(
+      'lgr.start_time',
+      'lgr.group_type',
+      'lgr.group_id',
+      'lgr.rank',
+      'lgr.rating',
+      'ls.rule_id',
+      'ls.stage_ids',
+      selectGroupMembers('lgr'),
+    )
+    .orderBy('lgr.rating', 'desc')
+    .orderBy('lgr.start_time', 'desc')
+    .orderBy('lgr.group_id', 'desc')
+    .limit(limit + 1);
+  if (after) {
+    pageQuery.whereRaw('(lgr.rating, lgr.start_time, lgr.group_id) < (?, ?, ?)', after);
+  }
+
+  const histogramQuery = query
+    .clone()
+    .select(db.raw('floor(lgr.rating / ?) * ? as rating', [interval, interval]), db.raw('count(*) as count'))
+    .groupByRaw('1')
+    .orderByRaw('1 desc');
+
+  const [rows, [{ count }], histogram] = await Promise.all([pageQuery, query.clone().count(), histogramQuery]);
+  return {
+    rows: rows.map(({ members, ...row }) => ({ ...row, members: parseGroupMembers(members) })),
+    total: count,
+    histogram,
+  };
+};
+
+/**
+ * @desc Query page of players ordered by their best X Power of all time in the rule.
+ * If the best rating was achieved multiple times, the earliest month is used.
+ * Peaks are precomputed in `x_peak_ratings_mv`.
+ * @param {Object} args
+ * @param {Number} args.ruleId
+ * @param {Array} [args.after] Rating and player ID of the last player of previous page
+ * @param {Number} args.limit
+ * @returns {Promise<{ rows: Object[]; total: number; }>}
+ * Note that it returns up to `limit + 1` rows so that caller can tell whether there's next page.
+ */
+const queryXPeakLeaderboard = async ({ ruleId, after, limit }) => {
+  const pageQuery = db
+    .select(
+      'peaks.player_id',
+      'peaks.rating',
+      'peaks.start_time',
+      'peaks.weapon_id',
+      'peaks.monthly_rank',
+      'peaks.rank',
+      'player_names.player_name',
+    )
+    .from({ peaks: 'x_peak_ratings_mv' })
+    .leftOuterJoin(joinLatestName('peaks'))
+    .where('peaks.rule_id', ruleId)
+    .orderBy('peaks.rating', 'desc')
+    .orderBy('peaks.player_id')
+    .limit(limit + 1);
+  if (after) {
+    pageQuery.whereRaw('(peaks.rating < ? or (peaks.rating = ? and peaks.player_id > ?))', [after[0], ...after]);
+  }
+
+  const [rows, [{ count }]] = await Promise.all([
+    pageQuery,
+    db.count('* as count').from('x_peak_ratings_mv').where('rule_id', ruleId),
+  ]);
+  return { rows, total: count };
+};
+
+/**
+ * @desc Query page of players ordered by sum or average of their best X Power of all time in each rule.
+ * Totals are precomputed in `x_combined_peak_ratings_mv`.
+ * @param {Object} args
+ * @param {'total'|'average'} args.sort
+ * @param {Array} [args.after] Sort value and player ID of the last player of previous page
+ * @param {Number} args.limit
+ * @returns {Promise<{ rows: Object[]; total: number; }>}
+ * Note that it returns up to `limit + 1` rows so that caller can tell whether there's next page.
+ */
+const queryXCombinedPeakLeaderboard = async ({ sort, after, limit }) => {
+  const sortColumn = sort === 'average' ? 'average_rating' : 'total_rating';
+
+  const pageQuery = db
+    .select(
+      'totals.player_id',
+      'totals.rules_count',
+      'totals.total_rating',
+      'totals.average_rating',
+      `totals.${sortColumn}_rank as rank`,
+      'totals.rule_ids',
+      'totals.ratings',
+      'player_names.player_name',
+    )
+    .from({ totals: 'x_combined_peak_ratings_mv' })
+    .leftOuterJoin(joinLatestName('totals'))
+    .orderBy(`totals.${sortColumn}`, 'desc')
+    .orderBy('totals.player_id')
+    .limit(limit + 1);
+  if (after) {
+    pageQuery.whereRaw('(?? < ? or (?? = ? and totals.player_id > ?))', [
+      `totals.${sortColumn}`,
+      after[0],
+      `totals.${sortColumn}`,
+      ...after,
+    ]);
+  }
+
+  const [rows, [{ count }]] = await Promise.all([pageQuery, db.count('* as count').from('x_combined_peak_ratings_mv')]);
+  return {
+    rows: rows.map(({ rule_ids: ruleIds, ratings, ...row }) => ({
+      ...row,
+      peaks: Object.fromEntries(ruleIds.map((ruleId, i) => [ruleId, ratings[i]])),
+    })),
+    total: count,
+  };
+};
+
+/**
+ * @desc Query page of league teams ordered by their best rating of all time in the rule.
+ * Teams are identified by their members, so the same members in different rotations are the same team.
+ * If the best rating was achieved multiple times, the earliest rotation is used.
+ * Peaks are precomputed in `league_team_peaks_mv`.
+ * @param {Object} args
+ * @param {'T'|'P'} args.groupType
+ * @param {Number} args.ruleId
+ * @param {Array} [args.after] Rating, start time and group ID of the last team of previous page
+ * @param {Number} args.limit
+ * @returns {Promise<{ rows: Object[]; total: number; }>}
+ * Note that it returns up to `limit + 1` rows so that caller can tell whether there's next page.
+ */
+const queryLeaguePeakLeaderboard = async ({ groupType, ruleId, after, limit }) => {
+  const filters = { group_type: groupType, rule_id: ruleId };
+  const pageQuery = db
+    .select(
+      'peaks.start_time',
+      'peaks.group_id',
+      'peaks.rating',
+      'peaks.rank',
+      'peaks.appearances',
+      selectGroupMembers('peaks'),
+    )
+    .from({ peaks: 'league_team_peaks_mv' })
+    .where(filters)
+    .orderBy('peaks.rating', 'desc')
+    .orderBy('peaks.start_time')
+    .orderBy('peaks.group_id')
+    .limit(limit + 1);
+  if (after) {
+    pageQuery.whereRaw('(peaks.rating < ? or (peaks.rating = ? and (peaks.start_time, peaks.group_id) > (?, ?)))', [
+      after[0],
+      ...after,
+    ]);
+  }
+
+  const [rows, [{ count }]] = await Promise.all([
+    pageQuery,
+    db.count('* as count').from('league_team_peaks_mv').where(filters),
+  ]);
+  return {
+    rows: rows.map(({ members, ...row }) => ({ ...row, members: parseGroupMembers(members) })),
+    total: count,
+  };
+};
+
+/**
+ * @desc Query page of league teams ordered by sum or average of their best rating of all time in each rule.
+ * Teams are identified by their members, and totals are precomputed in `league_combined_team_peaks_mv`.
+ * @param {Object} args
+ * @param {'T'|'P'} args.groupType
+ * @param {'total'|'average'} args.sort
+ * @param {Array} [args.after] Sort value and comma separated member IDs of the last team of previous page
+ * @param {Number} args.limit
+ * @returns {Promise<{ rows: Object[]; total: number; }>}
+ * Note that it returns up to `limit + 1` rows so that caller can tell whether there's next page.
+ */
+const queryLeagueCombinedPeakLeaderboard = async ({ groupType, sort, after, limit }) => {
+  const sortColumn = sort === 'average' ? 'average_rating' : 'total_rating';
+
+  const pageQuery = db
+    .select(
+      'totals.player_ids',
+      'totals.rules_count',
+      'totals.total_rating',
+      'totals.average_rating',
+      `totals.${sortColumn}_rank as rank`,
+      'totals.rule_ids',
+      'totals.ratings',
+      db.raw(
+        `(
+      select array_agg(array[members.player_id, player_names.player_name] order by members.player_id)
+        from unnest(totals.player_ids) as members (player_id)
+        left outer join ??
+    ) as members`,
+        [joinLatestName('members')],
+      ),
+    )
+    .from({ totals: 'league_combined_team_peaks_mv' })
+    .where('totals.group_type', groupType)
+    .orderBy(`totals.${sortColumn}`, 'desc')
+    .orderBy('totals.player_ids')
+    .limit(limit + 1);
+  if (after) {
+    pageQuery.whereRaw("(?? < ? or (?? = ? and totals.player_ids > string_to_array(?, ',')::varchar[]))", [
+      `totals.${sortColumn}`,
+      after[0],
+      `totals.${sortColumn}`,
+      ...after,
+    ]);
+  }
+
+  const [rows, [{ count }]] = await Promise.all([
+    pageQuery,
+    db.count('* as count').from('league_combined_team_peaks_mv').where('group_type', groupType),
+  ]);
+  return {
+    rows: rows.map(({ player_ids: _, rule_ids: ruleIds, ratings, members, ...row }) => ({
+      ...row,
+      members: members.map(([playerId, playerName]) => ({ player_id: playerId, player_name: playerName })),
+      peaks: Object.fromEntries(ruleIds.map((ruleId, i) => [ruleId, ratings[i]])),
+    })),
+    total: count,
+  };
+};
+
+/**
+ * @desc Query page of players ordered by how many times they appeared in rankings.
+ * X Ranking is ordered by the number of months, and others are ordered by the number of appearances.
+ * Counts are precomputed in `{rankingType}_hall_of_fame_mv`.
+ * @param {Object} args
+ * @param {'x'|'league'|'splatfest'} args.rankingType
+ * @param {Number} [args.minRating] Only count league rankings with at least this rating.
+ * One of `leagueHallOfFameMinRatings` in `./data`.
+ * @param {'T'|'P'} [args.groupType] Only count league rankings of the group type
+ * @param {'na'|'eu'|'jp'} [args.region] Only count splatfest rankings of the region
+ * @param {Array} [args.after] Values of sort columns and player ID of the last player of previous page
+ * @param {Number} args.limit
+ * @returns {Promise<{ rows: Object[]; total: number; }>}
+ * Note that it returns up to `limit + 1` rows so that caller can tell whether there's next page.
+ */
+const queryHallOfFame = async (args) => {
+  const { rankingType, minRating, groupType, region, after, limit } = args;
+  const sortColumns = rankingType === 'x' ? ['months', 'appearances'] : ['appearances', 'months'];
+
+  const query = db.from({ players: `${rankingType}_hall_of_fame_mv` }).modify((queryBuilder) => {
+    if (rankingType === 'league') {
+      queryBuilder.where({ 'players.min_rating': minRating ?? 0, 'players.group_type': groupType ?? 'all' });
+    } else if (rankingType === 'splatfest') {
+      queryBuilder.where('players.region', region ?? 'all');
+    }
+  });
+
+  const [first, second] = sortColumns.map((column) => `players.${column}`);
+  const pageQuery = query
+    .clone()
+    .select(
+      'players.player_id',
+      'players.months',
+      'players.appearances',
+      ...(rankingType === 'splatfest' ? [] : rankedRuleIds.map((ruleId) => `players.rule${ruleId}`)),
+      'players.first_appearance',
+      'players.last_appearance',
+      'players.average_rank',
+      'players.best_rating',
+      'players.rank',
+      'player_names.player_name',
+    )
+    .leftOuterJoin(joinLatestName('players'))
+    .orderBy(first, 'desc')
+    .orderBy(second, 'desc')
+    .orderBy('players.player_id')
+    .limit(limit + 1);
+  if (after) {
+    pageQuery.whereRaw(
+      `((${first}, ${second}) < (?, ?) or ((${first}, ${second}) = (?, ?) and players.player_id > ?))`,
+      [after[0], after[1], ...after],
+    );
+  }
+
+  const [rows, [{ count }]] = await Promise.all([pageQuery, query.clone().count('* as count')]);
+  return {
+    rows: rows.map((row) => {
+      if (rankingType === 'splatfest') {
+        return row;
+      }
+      const rules = Object.fromEntries(rankedRuleIds.map((ruleId) => [ruleId, row[`rule${ruleId}`]]));
+      return {
+        ...Object.fromEntries(Object.entries(row).filter(([key]) => !key.startsWith('rule'))),
+        rules,
+      };
+    }),
+    total: count,
+  };
+};
+
+/**
+ * @desc Query X Ranking of a month joined with the previous month, by player.
+ * Columns of the month without the player are null.
+ * @param {moment.Moment} startTime Start of the month
+ * @param {Number} ruleId
+ * @returns {Promise<Object[]>}
+ */
+const queryXRankingMovement = (startTime, ruleId) =>
+  db
+    .raw(
+      `with current_month as (
+    select * from x_rankings where start_time = to_timestamp(:currentMonth) and rule_id = :ruleId
+  ),
+  previous_month as (
+    select * from x_rankings where start_time = to_timestamp(:previousMonth) and rule_id = :ruleId
+  )
+  select
+      coalesce(current_month.player_id, previous_month.player_id) as player_id,
+      player_names.player_name,
+      previous_month.rank as previous_rank,
+      current_month.rank as current_rank,
+      previous_month.rank - current_month.rank as rank_delta,
+      previous_month.rating as previous_rating,
+      current_month.rating as current_rating,
+      current_month.rating - previous_month.rating as rating_delta,
+      previous_month.weapon_id as previous_weapon_id,
+      current_month.weapon_id as current_weapon_id
+    from current_month
+    full outer join previous_month on previous_month.player_id = current_month.player_id
+    left outer join latest_player_names_mv as player_names
+      on player_names.player_id = coalesce(current_month.player_id, previous_month.player_id)
+    order by current_month.rank asc nulls last, previous_month.rank asc nulls last, player_id asc`,
+      {
+        currentMonth: startTime.unix(),
+        previousMonth: startTime.clone().subtract(1, 'month').unix(),
+        ruleId,
+      },
+    )
+    .then((queryResult) => queryResult.rows);
+
 const getKnownNames = (playerId) =>
   db
-    .select('player_name', 'last_used')
+    .select('player_name', 'first_seen', 'last_used')
     .from('player_known_names')
     .where({ player_id: playerId })
     .orderBy('last_used', 'desc')
     .orderBy('player_name', 'asc');
 
+/**
+ * @desc Query names of a player in the order they were first seen.
+ * @param {String} playerId
+ */
+const queryNameTimeline = (playerId) =>
+  db
+    .select('player_name', 'first_seen', 'last_used')
+    .from('player_known_names')
+    .where({ player_id: playerId })
+    .orderBy('first_seen', 'asc')
+    .orderBy('last_used', 'asc')
+    .orderBy('player_name', 'asc');
+
+/**
+ * @desc Query every player who has ever used given name, with the period they used it.
+ * @param {String} playerName
+ */
+const queryPlayersByName = (playerName) =>
+  db
+    .select('player_known_names.player_id', 'first_seen', 'last_used', 'player_names.player_name as latest_name')
+    .from('player_known_names')
+    .leftOuterJoin(joinLatestName('player_known_names'))
+    .where('player_known_names.player_name', playerName)
+    .orderBy('last_used', 'desc')
+    .orderBy('player_known_names.player_id', 'asc');
+
+/**
+ * @desc Query when each dataset (league, x, splatfest) was ingested last time.
+ * Result is memoized for a short time because it's queried on almost every request.
+ * @returns {Promise<Object<string, string>>} e.g.) `{ league: '2019-02-19 14:20:00.123', x: ... }`
+ */
+const queryLastIngestedAt = memoize(
+  async () => {
+    const rows = await db.select('dataset', 'last_ingested_at').from('dataset_ingestions');
+    return Object.fromEntries(rows.map((row) => [row.dataset, row.last_ingested_at]));
+  },
+  { promise: true, maxAge: 10 * 1000 },
+);
+
 const getLeagueSchedule = async (startTime) =>
   (await db.select('*').from('league_schedules').where('start_time', startTime))[0];
 
+/**
+ * @desc Query league rotations with the top rating of each group type, which is null if the ranking is unavailable.
+ * @param {Object} args
+ * @param {String} [args.startTime] Inclusive
+ * @param {String} [args.endTime] Exclusive
+ * @param {Number} [args.ruleId]
+ * @param {Number} [args.stageId]
+ * @param {String} args.now
+ * @param {Boolean} args.ended Whether to query rotations which have ended at `now`, or ones which haven't
+ * @param {String} [args.before] Exclusive upper bound of start_time, for pagination
+ * @param {'asc'|'desc'} args.order Order by start_time
+ * @param {Number} [args.limit]
+ * @returns {Promise<Object[]>} Rows with `{group type key}_top_rating` and `missing`,
+ * which is true if the ranking is known to be missing
+ */
+const queryLeagueSchedules = (args) => {
+  const { startTime, endTime, ruleId, stageId, now, ended, before, order, limit } = args;
+
+  return (
+    db
+      .select(
+        'ls.start_time',
+        'ls.rule_id',
+        'ls.stage_ids',
+        ...groupTypes.map((groupType) =>
+          db.raw(
+            `(
+          select max(lgr.rating)
+            from league_group_rankings as lgr
+            where lgr.start_time = ls.start_time and lgr.group_type = ?
+        ) as ??`,
+            [groupType.query, `${groupType.key}_top_rating`],
+          ),
+        ),
+        db.raw('exists (select 1 from missing_league_rankings as mlr where mlr.start_time = ls.start_time) as missing'),
+      )
+      .from({ ls: 'league_schedules' })
+      .modify((queryBuilder) => {
+        if (startTime) {
+          queryBuilder.where('ls.start_time', '>=', startTime);
+        }
+        if (endTime) {
+          queryBuilder.where('ls.start_time', '<', endTime);
+        }
+        if (ruleId) {
+          queryBuilder.where('ls.rule_id', ruleId);
+        }
+        if (Number.isInteger(stageId)) {
+          queryBuilder.whereRaw('? = any(ls.stage_ids)', [stageId]);
+        }
+        if (before) {
+          queryBuilder.where('ls.start_time', '<', before);
+        }
+        if (limit) {
+          queryBuilder.limit(limit);
+        }
+      })
+      // League rotations are 2 hours long
+      .whereRaw(`ls.start_time + interval '2 hours' ${ended ? '<=' : '>'} ?`, [now])
+      .orderBy('ls.start_time', order)
+  );
+};
+
+/**
+ * @desc Query monthly league battles with the number of groups and the top rating of each group type.
+ * @returns {Promise<Object[]>} Ordered by start_time desc
+ */
+const queryMonthlyLeagueBattles = async () => {
+  const rows = await db
+    .select(
+      'mlbs.start_time',
+      'ls.rule_id',
+      'ls.stage_ids',
+      'lgr.group_type',
+      db.raw('count(lgr.group_id) as count'),
+      db.raw('max(lgr.rating) as top_rating'),
+    )
+    .from({ mlbs: 'monthly_league_battle_schedules' })
+    .innerJoin({ ls: 'league_schedules' }, 'mlbs.start_time', 'ls.start_time')
+    .leftOuterJoin({ lgr: 'league_group_rankings' }, 'mlbs.start_time', 'lgr.start_time')
+    .groupBy('mlbs.start_time', 'ls.rule_id', 'ls.stage_ids', 'lgr.group_type')
+    .orderBy('mlbs.start_time', 'desc');
+
+  const battles = new Map();
+  rows.forEach(({ group_type: groupType, count, top_rating: topRating, ...schedule }) => {
+    if (!battles.has(schedule.start_time)) {
+      battles.set(schedule.start_time, {
+        ...schedule,
+        ...Object.fromEntries(groupTypes.map((type) => [type.key, { count: 0, top_rating: null }])),
+      });
+    }
+    const type = groupTypes.find((t) => t.query === groupType);
+    // Group type is null if the ranking hasn't been fetched yet.
+    if (type) {
+      battles.get(schedule.start_time)[type.key] = { count, top_rating: topRating };
+    }
+  });
+  return [...battles.values()];
+};
+
+/**
+ * @desc Query schedule of the monthly league battle.
+ * @param {String} startTime
+ * @returns {Promise<Object|undefined>} Undefined if the rotation is not a monthly league battle
+ */
+const getMonthlyLeagueBattleSchedule = (startTime) =>
+  db
+    .first('ls.*')
+    .from({ mlbs: 'monthly_league_battle_schedules' })
+    .innerJoin({ ls: 'league_schedules' }, 'mlbs.start_time', 'ls.start_time')
+    .where('mlbs.start_time', startTime);
+
+/**
+ * @desc Query whole league ranking of a rotation, with members of each group.
+ * @param {String} startTime
+ * @param {'T'|'P'} groupType
+ * @returns {Promise<Object[]>} Ordered by rank
+ */
+const queryLeagueGroupRankings = async (startTime, groupType) => {
+  const rows = await db
+    .select('lgr.group_id', 'lgr.rank', 'lgr.rating', 'lgr.weapon_ids', selectGroupMembers('lgr'))
+    .from({ lgr: 'league_group_rankings' })
+    .where('lgr.start_time', startTime)
+    .where('lgr.group_type', groupType)
+    .orderBy('lgr.rank')
+    .orderBy('lgr.group_id');
+  return rows.map(({ members, ...row }) => ({ ...row, members: parseGroupMembers(members) }));
+};
+
 const getWeaponIds = async () => {
   const rows = await db.select('weapon_id').from('weapons').whereNull('reskin_of').orderBy('weapon_id');
   return rows.map(({ weapon_id: id }) => id);
@@ -215,21 +1089,233 @@ const queryPlayerRankingRecords = (rankingType, playerId) => {
   return query;
 };
 
+/**
+ * @desc Query league teammate network around given players.
+ * Edges are every pair of players who have been in the same league group, where at least one of them is given.
+ * @param {String[]} playerIds
+ * @returns {Promise<{ nodes: Object[], edges: Object[] }>}
+ */
+const queryLeagueTeammateNetwork = async (playerIds) => {
+  const { rows: edges } = await db.raw(
+    `with groups as (
+      -- Look up groups first so that both lookups use indexes.
+      select distinct start_time, group_id
+        from league_rankings
+        where player_id = any(:playerIds)
+    )
+    select a.player_id as source, b.player_id as target, count(*) as count, max(a.rating) as best_rating
+    from groups
+    inner join league_rankings as a
+      on a.start_time = groups.start_time
+      and a.group_id = groups.group_id
+    inner join league_rankings as b
+      on b.start_time = a.start_time
+      and b.group_id = a.group_id
+      and b.player_id > a.player_id
+    -- Groups also have pairs of teammates who are not given.
+    where a.player_id = any(:playerIds) or b.player_id = any(:playerIds)
+    group by a.player_id, b.player_id
+    order by count desc, source asc, target asc`,
+    { playerIds },
+  );
+
+  const nodeIds = [...new Set(edges.flatMap((edge) => [edge.source, edge.target]))];
+  const nodes = await db
+    .select('player_id', 'player_name')
+    .from('latest_player_names_mv')
+    .whereIn('player_id', nodeIds)
+    .orderBy('player_id');
+  const namedIds = new Set(nodes.map((node) => node.player_id));
+
+  return {
+    nodes: [...nodes, ...nodeIds.filter((id) => !namedIds.has(id)).map((id) => ({ player_id: id, player_name: null }))],
+    edges,
+  };
+};
+
+/**
+ * @desc Query weapons a player used in each ranking type, aggregated by month.
+ * Reskins are not folded.
+ * @param {String} playerId
+ * @returns {Promise<Object[]>} Rows of ranking_type, month, weapon_id, count, first_seen, last_seen and best_rating
+ */
+const queryPlayerWeaponUsage = (playerId) =>
+  db
+    .raw(
+      `with usages as (
+    select 'x' as ranking_type, start_time, weapon_id, rating
+      from x_rankings
+      where player_id = :playerId
+    union all
+    select 'league' as ranking_type, start_time, weapon_id, rating
+      from league_rankings
+      where player_id = :playerId
+    union all
+    select 'splatfest' as ranking_type, splatfest_schedules.start_time, weapon_id, rating
+      from splatfest_rankings
+      inner join splatfest_schedules
+        on splatfest_schedules.region = splatfest_rankings.region
+        and splatfest_schedules.splatfest_id = splatfest_rankings.splatfest_id
+      where player_id = :playerId
+  )
+  select
+      ranking_type,
+      to_char(start_time, 'YYYY-MM') as month,
+      weapon_id,
+      count(*) as count,
+      min(start_time) as first_seen,
+      max(start_time) as last_seen,
+      max(rating) as best_rating
+    from usages
+    group by ranking_type, month, weapon_id
+    order by month asc, ranking_type asc, weapon_id asc`,
+      { playerId },
+    )
+    .then((queryResult) => queryResult.rows);
+
+/**
+ * @desc Query peak X Ranking ratings of all players, for each rule.
+ * @returns {Promise<Object<number, number[]>>} Ratings in ascending order keyed by rule ID
+ */
+const queryXPeakRatings = () =>
+  db
+    .raw(
+      `select rule_id, array_agg(rating::float8 order by rating) as ratings
+    from (
+      select player_id, rule_id, max(rating) as rating
+        from x_rankings
+        group by player_id, rule_id
+    ) as peaks
+    group by rule_id`,
+    )
+    .then((queryResult) => Object.fromEntries(queryResult.rows.map((row) => [row.rule_id, row.ratings])));
+
+/**
+ * @desc Query the number of league rankings a player appeared in, for each group type.
+ * @param {String} playerId
+ * @returns {Promise<Object[]>} Rows of group_type and count
+ */
+const queryPlayerLeagueAppearances = (playerId) =>
+  db
+    .select('group_type')
+    .count('* as count')
+    .from('league_rankings')
+    .where('player_id', playerId)
+    .groupBy('group_type');
+
+const PLAYER_SEARCH_LIMIT = 50;
+// Trigram index can't serve shorter names.
+const PLAYER_SEARCH_TRIGRAM_MIN_LENGTH = 3;
+/**
+ * @desc Search players by name or by the beginning of player ID.
+ * Names are compared after normalization (see `normalizePlayerName` in `./util`) and ordered by trigram similarity.
+ * Names shorter than 3 characters only match the beginning of names.
+ * Player ID is matched only when query consists of at least 4 hexadecimal characters.
+ * @param {String} query
+ * @returns {Promise<Object[]>}
+ */
+const searchPlayers = (query) => {
+  const normalizedName = normalizePlayerName(query);
+  const isShortName = [...normalizedName].length < PLAYER_SEARCH_TRIGRAM_MIN_LENGTH;
+  const playerIdPattern = /^[\da-f]{4,16}$/i.test(query) ? `${query.toLowerCase()}%` : null;
+
+  return db
+    .raw(
+      `with name_matches as (
+    select distinct on (player_id)
+        player_id,
+        player_name,
+        last_used,
+        similarity(normalize_player_name(player_name), :normalizedName) as similarity
+      from player_known_names
+      where normalize_player_name(player_name) like :namePattern
+        ${isShortName ? '' : 'or normalize_player_name(player_name) % :normalizedName'}
+      order by player_id, similarity desc, last_used desc
+  ),
+  player_id_matches as (
+    select player_id from player_known_names where player_id like :playerIdPattern
+    union
+    -- League Ranking doesn't have player names, so league-only players can be found only by ID.
+    select player_id from league_rankings where player_id like :playerIdPattern
+  ),
+  matches as (
+    select
+        coalesce(name_matches.player_id, player_id_matches.player_id) as player_id,
+        name_matches.player_name,
+        name_matches.last_used,
+        coalesce(name_matches.similarity, 0) as similarity,
+        player_id_matches.player_id is not null as matched_player_id
+      from name_matches
+      full outer join player_id_matches on player_id_matches.player_id = name_matches.player_id
+      order by matched_player_id desc, similarity desc, last_used desc nulls last, player_id asc
+      limit :limit
+  )
+  select
+      matches.player_id,
+      coalesce(matches.player_name, player_names.player_name) as player_name,
+      matches.last_used,
+      matches.similarity,
+      (select max(rating) from x_rankings where x_rankings.player_id = matches.player_id) as max_x_rating,
+      array_remove(array[
+        case when exists (select 1 from x_rankings where x_rankings.player_id = matches.player_id) then 'x' end,
+        case when exists (select 1 from league_rankings where league_rankings.player_id = matches.player_id) then 'league' end,
+        case when exists (select 1 from splatfest_rankings where splatfest_rankings.player_id = matches.player_id) then 'splatfest' end
+      ], null) as ranking_types
+    from matches
+    left outer join latest_player_names_mv as player_names on player_names.player_id = matches.player_id
+    order by matches.matched_player_id desc, matches.similarity desc, matches.last_used desc nulls last, matches.player_id asc`,
+      {
+        normalizedName,
+        namePattern: `${isShortName ? '' : '%'}${escapeLikeQuery(normalizedName)}%`,
+        playerIdPattern,
+        limit: PLAYER_SEARCH_LIMIT,
+      },
+    )
+    .then((queryResult) => queryResult.rows);
+};
+
+/**
+ * @desc Compare weapon popularity between 2 periods.
+ * A period is a range of months (`{ startTime, endTime }`) for X and league rankings,
+ * or a splatfest (`{ region, splatfestId }`) for splatfest rankings.
+ * @param {Object} args
+ * @param {'x'|'league'|'splatfest'} args.rankingType
+ * @param {'weapons'|'mains'|'specials'|'subs'|'classes'} args.weaponType
+ * @param {Object} args.previous Period to compare with
+ * @param {Object} args.current
+ * @param {Number} [args.ruleId] Not available for splatfest
+ * @param {'T'|'P'} [args.groupType] Only for league
+ */
 const queryWeaponUsageDifference = (args) =>
   new Promise((resolve, reject) => {
-    const { rankingType, weaponType, previousMonth, currentMonth, ruleId /* region, splatfestId, */ } = args;
+    const { rankingType, weaponType, previous, current, ruleId, groupType } = args;
     const tableName = `${rankingType}_rankings`;
 
-    const weaponsOfMonthSubquery = (context, date) => {
+    const weaponsOfMonthSubquery = (context, period) => {
       context
         .select('unique_weapon_ids.actual_weapon_id AS weapon_id')
         .from(tableName)
-        .innerJoin('unique_weapon_ids', `${tableName}.weapon_id`, 'unique_weapon_ids.weapon_id')
-        .where('start_time', date);
+        .innerJoin('unique_weapon_ids', `${tableName}.weapon_id`, 'unique_weapon_ids.weapon_id');
 
-      if (ruleId) {
+      if (rankingType === 'splatfest') {
+        context.where(`${tableName}.region`, period.region).andWhere(`${tableName}.splatfest_id`, period.splatfestId);
+      } else {
+        context
+          .where(`${tableName}.start_time`, '>=', period.startTime)
+          .andWhere(`${tableName}.start_time`, '<', period.endTime);
+      }
+
+      if (rankingType === 'league' && ruleId) {
+        context
+          .innerJoin('league_schedules', `${tableName}.start_time`, 'league_schedules.start_time')
+          .andWhere('league_schedules.rule_id', ruleId);
+      } else if (ruleId) {
         context.andWhere('rule_id', ruleId);
       }
+
+      if (groupType) {
+        context.andWhere('group_type', groupType);
+      }
     };
 
     const weaponAppearancesOfMonthSubquery = (context, relationName) => {
@@ -251,6 +1337,12 @@ const queryWeaponUsageDifference = (args) =>
           .from(`${relationName} AS month`)
           .innerJoin('weapons', 'month.weapon_id', 'weapons.weapon_id')
           .groupBy('weapons.main_reference');
+      } else if (weaponType === 'classes') {
+        context
+          .select('weapons.weapon_class_id AS weapon_id', db.raw('count(month.*)'))
+          .from(`${relationName} AS month`)
+          .innerJoin('weapons', 'month.weapon_id', 'weapons.weapon_id')
+          .groupBy('weapons.weapon_class_id');
       }
 
       context.orderBy('count');
@@ -269,6 +1361,9 @@ const queryWeaponUsageDifference = (args) =>
       mains: {
         weaponIds: 'SELECT DISTINCT(main_reference) AS weapon_id FROM weapons',
       },
+      classes: {
+        weaponIds: 'SELECT weapon_class_id AS weapon_id from weapon_classes',
+      },
     };
 
     if (!(weaponType in statements)) {
@@ -292,13 +1387,13 @@ const queryWeaponUsageDifference = (args) =>
       )
       .with('weapon_type_ids', db.raw(statements[weaponType].weaponIds))
       .with('previous_month_weapons', function subquery() {
-        weaponsOfMonthSubquery(this, previousMonth);
+        weaponsOfMonthSubquery(this, previous);
       })
       .with('previous_month_weapon_appearances', function subquery() {
         weaponAppearancesOfMonthSubquery(this, 'previous_month_weapons');
       })
       .with('current_month_weapons', function subquery() {
-        weaponsOfMonthSubquery(this, currentMonth);
+        weaponsOfMonthSubquery(this, current);
       })
       .with('current_month_weapon_appearances', function subquery() {
         weaponAppearancesOfMonthSubquery(this, 'current_month_weapons');
@@ -330,9 +1425,30 @@ const queryWeaponUsageDifference = (args) =>
       .catch(reject);
   });
 
+/**
+ * @desc Query weapon popularity in a month (or range of months) or a splatfest.
+ * @param {Object} args
+ * @param {Boolean} [args.groupByMonth] Aggregate each month separately instead of whole range.
+ * Rows have `month` column (YYYY-MM), and rank and percentage are calculated within each month.
+ * @param {Number} [args.stageId] Only for league. Count only rotations featuring the stage.
+ * @param {'T'|'P'} [args.groupType] Only for league. Count only the group type.
+ * @param {Boolean} [args.withAverageRating] Add `average_rating` column
+ */
 const queryWeaponRanking = (args) =>
   new Promise((resolve, reject) => {
-    const { rankingType, weaponType, startTime, endTime, ruleId, region, splatfestId } = args;
+    const {
+      rankingType,
+      weaponType,
+      startTime,
+      endTime,
+      ruleId,
+      region,
+      splatfestId,
+      groupByMonth,
+      stageId,
+      groupType,
+      withAverageRating,
+    } = args;
 
     const tableName = `${rankingType}_rankings`;
     let statements;
@@ -358,6 +1474,13 @@ const queryWeaponRanking = (args) =>
         groupBy: ['main_weapon_id'],
         columns: ['main_weapon_id as weapon_id'],
       };
+    } else if (weaponType === 'classes') {
+      statements = {
+        select: 'weapons.weapon_class_id, count(*)',
+        groupBy: ['weapons.weapon_class_id'],
+        orderBy: ['weapons.weapon_class_id', 'desc'],
+        columns: ['weapon_class_id'],
+      };
     } else if (['specials', 'subs'].includes(weaponType)) {
       // e.g.) specials -> special_weapon_id
       const weaponTypeColumnName = `${weaponType.substring(0, weaponType.length - 1)}_weapon_id`;
@@ -373,12 +1496,22 @@ const queryWeaponRanking = (args) =>
       reject(new TypeError('Wrong weaponType'));
     }
 
+    if (groupByMonth) {
+      statements.select = `to_char(:tableName:.start_time, 'YYYY-MM') as month, ${statements.select}`;
+      statements.groupBy.unshift('month');
+      statements.columns.unshift('month');
+    }
+    if (withAverageRating) {
+      statements.select = `${statements.select}, round(avg(:tableName:.rating), 1) as average_rating`;
+    }
+    const partition = groupByMonth ? 'partition by month' : '';
+
     const popularWeaponsQuery = db.with('popular_weapons', function subquery() {
       this.select(db.raw(statements.select, { tableName }))
         .from(tableName)
         .innerJoin('weapons', `${tableName}.weapon_id`, 'weapons.weapon_id');
 
-      if (rankingType === 'league' && ruleId) {
+      if (rankingType === 'league' && (ruleId || stageId !== undefined)) {
         this.innerJoin('league_schedules', `${tableName}.start_time`, 'league_schedules.start_time');
       }
 
@@ -396,6 +1529,14 @@ const queryWeaponRanking = (args) =>
         this.andWhere(`${rankingType === 'league' ? 'league_schedules' : tableName}.rule_id`, ruleId);
       }
 
+      if (rankingType === 'league' && stageId !== undefined) {
+        this.andWhere(db.raw('? = any(league_schedules.stage_ids)', [stageId]));
+      }
+
+      if (rankingType === 'league' && groupType) {
+        this.andWhere(`${tableName}.group_type`, groupType);
+      }
+
       this.groupBy(...statements.groupBy).orderBy('count', 'desc');
 
       if (statements.orderBy) {
@@ -407,10 +1548,16 @@ const queryWeaponRanking = (args) =>
       .select(
         ...statements.columns,
         'count',
-        db.raw('rank () over (order by count desc)'),
-        db.raw('100 * count / sum(count) over () as percentage'),
+        db.raw(`rank () over (${partition} order by count desc)`),
+        db.raw(`100 * count / sum(count) over (${partition}) as percentage`),
+        ...(withAverageRating ? ['average_rating'] : []),
       )
       .from('popular_weapons')
+      .modify((queryBuilder) => {
+        if (groupByMonth) {
+          queryBuilder.orderBy('month').orderBy('rank');
+        }
+      })
       .then((result) => resolve(result))
       .catch((err) => reject(err));
   });
@@ -485,18 +1632,42 @@ select * from past_splatfests
 module.exports = {
   getKnownNames,
   getLeagueSchedule,
+  getMonthlyLeagueBattleSchedule,
   getWeaponIds,
   hasXRankingForMonth,
   joinLatestName,
+  queryHallOfFame,
+  queryLastIngestedAt,
+  queryLeagueCombinedPeakLeaderboard,
+  queryLeagueCompositions,
+  queryLeagueGroupRankings,
+  queryLeagueSchedules,
+  queryLeaguePeakLeaderboard,
   queryLatestXRankingStartTime,
+  queryLeagueTeammateNetwork,
+  queryLeagueWeaponLeaderboard,
   queryLeagueWeaponRuleRecords,
   queryLeagueWeaponsRuleRecords,
+  queryMonthlyLeagueBattles,
+  queryNameTimeline,
+  queryPlayerLeagueAppearances,
   queryPlayerRankingRecords,
+  queryPlayerWeaponUsage,
+  queryPlayersByName,
+  queryRatingDistributions,
+  queryRatingPercentile,
+  queryXCombinedPeakLeaderboard,
+  queryXPeakLeaderboard,
+  queryXPeakRatings,
+  queryXRankingMovement,
+  queryXRankings,
   queryXWeaponRuleRecords,
   queryXWeaponRuleRecordsCount,
   queryWeaponRanking,
+  queryWeaponSynergy,
   queryWeaponUsageDifference,
   queryWeaponTopPlayers,
   queryWeaponTopPlayersForMonth,
   queryUnfetchedSplatfests,
+  searchPlayers,
 };
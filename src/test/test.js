@@ -1,12 +1,69 @@
 /* eslint-env jest */
+const fetch = require('node-fetch');
+
+jest.mock('morgan', () => () => (req, res, next) => next());
+jest.mock('../db', () => ({ db: {} }));
+jest.mock('../query', () => ({
+  getKnownNames: jest.fn(),
+  queryHallOfFame: jest.fn(),
+  queryLeagueCombinedPeakLeaderboard: jest.fn(),
+  queryLeagueTeammateNetwork: jest.fn(),
+  queryLastIngestedAt: jest.fn(),
+  queryPlayerLeagueAppearances: jest.fn(),
+  queryPlayerRankingRecords: jest.fn(),
+  queryPlayerWeaponUsage: jest.fn(),
+  queryXPeakRatings: jest.fn(),
+  queryXRankings: jest.fn(),
+}));
+jest.mock('../cache', () => {
+  const values = new Map();
+  return {
+    keys: { x_peak_ratings: 'x_peak_ratings' },
+    wrap: async (key, fn) => {
+      if (!values.has(key)) {
+        values.set(key, await fn());
+      }
+      return values.get(key);
+    },
+  };
+});
 
 const {
   calculateLeagueDate,
   calculateStartTimeFromLeagueDate,
   dateToSqlTimestamp,
+  decodeCursor,
+  encodeCursor,
   escapeLikeQuery,
+  isMonthlyLeagueBattle,
+  normalizePlayerName,
+  parseMonthRange,
   resolveObjectPath,
 } = require('../util');
+const { cacheUntilIngested, conditionalGet } = require('../conditional-get');
+const { APIError, NotFoundError, UnprocessableEntityError, ValidationError } = require('../errors');
+const { collectColumns, escapeCsvValue } = require('../formats');
+const { validateRequest, validateValue } = require('../openapi');
+const {
+  comparePlayers,
+  findLongestStreak,
+  queryPlayerSummary,
+  queryPlayerTeammates,
+  queryPlayerWeapons,
+} = require('../player-stats');
+const {
+  getKnownNames,
+  queryHallOfFame,
+  queryLeagueCombinedPeakLeaderboard,
+  queryLeagueTeammateNetwork,
+  queryLastIngestedAt,
+  queryPlayerLeagueAppearances,
+  queryPlayerRankingRecords,
+  queryPlayerWeaponUsage,
+  queryXPeakRatings,
+  queryXRankings,
+} = require('../query');
+const app = require('../web-api');
 
 describe('Utility functions', () => {
   test('calculateLeagueDate', () => {
@@ -24,12 +81,504 @@ describe('Utility functions', () => {
     expect(dateToSqlTimestamp(1550577600000)).toBe('2019-02-19 12:00:00');
   });
 
+  test('decodeCursor should be inverse function of encodeCursor', () => {
+    const values = [500, 'f0123456789abcde'];
+    expect(encodeCursor(values)).toMatch(/^[\w-]+$/);
+    expect(decodeCursor(encodeCursor(values), ['number', 'playerId'])).toEqual(values);
+    expect(decodeCursor('not a cursor', ['number', 'playerId'])).toBeNull();
+  });
+
+  test('decodeCursor should reject values of unexpected types', () => {
+    const types = ['number', 'timestamp', 'groupId'];
+    expect(decodeCursor(encodeCursor([2500.5, '2019-02-19 12:00:00', 'T0g1x']), types)).toEqual([
+      2500.5,
+      '2019-02-19 12:00:00',
+      'T0g1x',
+    ]);
+    expect(decodeCursor(encodeCursor([2500.5, '2019-02-19 12:00:00']), types)).toBeNull();
+    expect(decodeCursor(encodeCursor(['2500', '2019-02-19 12:00:00', 'T0g1x']), types)).toBeNull();
+    expect(decodeCursor(encodeCursor([2500, 'yesterday', 'T0g1x']), types)).toBeNull();
+    expect(decodeCursor(encodeCursor([2500, '2019-02-19 12:00:00', { id: 1 }]), types)).toBeNull();
+    expect(decodeCursor(encodeCursor([1, "'; DROP TABLE x_rankings; --"]), ['number', 'playerId'])).toBeNull();
+    expect(decodeCursor(encodeCursor({ 0: 1, 1: 'f0123456789abcde' }), ['number', 'playerId'])).toBeNull();
+  });
+
+  test('escapeCsvValue', () => {
+    expect(escapeCsvValue('イカ')).toBe('イカ');
+    expect(escapeCsvValue('a "quoted", text')).toBe('"a ""quoted"", text"');
+    expect(escapeCsvValue(null)).toBe('');
+    expect(escapeCsvValue([1, 2])).toBe('"[1,2]"');
+  });
+
+  test('collectColumns', () => {
+    expect(collectColumns([])).toEqual([]);
+    expect(
+      collectColumns([
+        { weapon_id: 40, count: 0 },
+        { weapon_id: 50, sub_weapon_id: 3, count: 2 },
+      ]),
+    ).toEqual(['weapon_id', 'count', 'sub_weapon_id']);
+  });
+
   test('escapeLikeQuery', () => {
     expect(escapeLikeQuery('100% _sure_')).toBe('100\\% \\_sure\\_');
   });
 
+  test('isMonthlyLeagueBattle', () => {
+    // 2019-03-01 is Friday, so the first slot is on the first day of the month.
+    expect(isMonthlyLeagueBattle(Date.UTC(2019, 2, 1, 11, 59))).toBe(false);
+    expect(isMonthlyLeagueBattle(Date.UTC(2019, 2, 1, 12))).toBe(true);
+    expect(isMonthlyLeagueBattle(Date.UTC(2019, 2, 1, 14))).toBe(false);
+    // The second slot is 12 hours later.
+    expect(isMonthlyLeagueBattle(Date.UTC(2019, 2, 1, 22))).toBe(false);
+    expect(isMonthlyLeagueBattle(Date.UTC(2019, 2, 2, 0))).toBe(true);
+    expect(isMonthlyLeagueBattle(Date.UTC(2019, 2, 2, 2))).toBe(false);
+    expect(isMonthlyLeagueBattle(Date.UTC(2019, 2, 8, 12))).toBe(false);
+    // 2019-06-01 is Saturday, so the first Friday is 2019-06-07.
+    expect(isMonthlyLeagueBattle(Date.UTC(2019, 5, 1, 0))).toBe(false);
+    expect(isMonthlyLeagueBattle(Date.UTC(2019, 5, 7, 12))).toBe(true);
+    expect(isMonthlyLeagueBattle(Date.UTC(2019, 5, 8, 0))).toBe(true);
+  });
+
+  test('normalizePlayerName', () => {
+    expect(normalizePlayerName('ｽﾌﾟﾗＡ')).toBe('すぷらa');
+    expect(normalizePlayerName('イカ')).toBe(normalizePlayerName('いか'));
+  });
+
+  test('parseMonthRange', () => {
+    const { startTime, endTime } = parseMonthRange('2018-12', '2019-01');
+    expect(startTime.toISOString()).toBe('2018-12-01T00:00:00.000Z');
+    expect(endTime.toISOString()).toBe('2019-02-01T00:00:00.000Z');
+    expect(parseMonthRange('2019-01', '2019-01').endTime.toISOString()).toBe('2019-02-01T00:00:00.000Z');
+    expect(parseMonthRange(undefined, '2019-01').startTime).toBeNull();
+    expect(parseMonthRange('2019-01', undefined).endTime).toBeNull();
+
+    expect(() => parseMonthRange('2019-13')).toThrow(UnprocessableEntityError);
+    expect(() => parseMonthRange(undefined, '2019-00')).toThrow(UnprocessableEntityError);
+    expect(() => parseMonthRange('2019-02', '2019-01')).toThrow(UnprocessableEntityError);
+  });
+
   test('resolveObjectPath', () => {
     expect(resolveObjectPath({ foo: { bar: 1 } }, 'foo.bar')).toBe(1);
     expect(resolveObjectPath({ foo: { bar: [2, 4, 6] } }, 'foo.bar.1')).toBe(4);
   });
 });
+
+describe('Errors', () => {
+  test('APIError subclasses have status code and error code', () => {
+    const details = [{ in: 'query', name: 'name', message: 'is required' }];
+    const validationError = new ValidationError('Invalid parameter(s).', details);
+    expect(validationError).toBeInstanceOf(APIError);
+    expect(validationError.statusCode).toBe(400);
+    expect(validationError.code).toBe('invalid_parameters');
+    expect(validationError.details).toBe(details);
+
+    const notFoundError = new NotFoundError('No ranking is available.');
+    expect(notFoundError.statusCode).toBe(404);
+    expect(notFoundError.details).toBeNull();
+  });
+});
+
+describe('Request validation', () => {
+  test('validateValue', () => {
+    expect(validateValue(['1', '2'], { type: 'integer' })).toBe('must be a single value');
+
+    expect(validateValue('42', { type: 'integer' })).toBeNull();
+    expect(validateValue('-3', { type: 'integer' })).toBeNull();
+    expect(validateValue('4.2', { type: 'integer' })).toBe('must be an integer');
+    expect(validateValue('2500.5', { type: 'number' })).toBeNull();
+    expect(validateValue('1e3', { type: 'number' })).toBe('must be a number');
+
+    expect(validateValue('1', { type: 'integer', minimum: 1, maximum: 12 })).toBeNull();
+    expect(validateValue('0', { type: 'integer', minimum: 1, maximum: 12 })).toBe(
+      'must be greater than or equal to 1',
+    );
+    expect(validateValue('13', { type: 'integer', minimum: 1, maximum: 12 })).toBe('must be less than or equal to 12');
+
+    expect(validateValue('T', { type: 'string', enum: ['T', 'P'] })).toBeNull();
+    expect(validateValue('X', { type: 'string', enum: ['T', 'P'] })).toBe('must be one of T, P');
+    expect(validateValue('2', { type: 'integer', enum: [1, 2] })).toBeNull();
+
+    expect(validateValue('', { type: 'string', minLength: 1 })).toBe('must be at least 1 character(s)');
+    expect(validateValue('abcd', { type: 'string', maxLength: 3 })).toBe('must be at most 3 character(s)');
+
+    expect(validateValue('f0123456789abcde', { type: 'string', pattern: '^[\\da-f]{16}$' })).toBeNull();
+    expect(validateValue('F0123456789ABCDE', { type: 'string', pattern: '^[\\da-f]{16}$' })).toBe(
+      'must match ^[\\da-f]{16}$',
+    );
+  });
+
+  test('validateRequest', () => {
+    expect(() => validateRequest('/not/defined')).toThrow(TypeError);
+
+    const validate = (path, params, query) => {
+      const next = jest.fn();
+      validateRequest(path)({ params, query }, {}, next);
+      expect(next).toHaveBeenCalledTimes(1);
+      return next.mock.calls[0][0];
+    };
+
+    expect(validate('/rankings/x/{year}/{month}/{ruleKey}', { year: '2019', month: '2', ruleKey: 'rainmaker' }, {}))
+      .toBeUndefined();
+    expect(
+      validate('/rankings/x/{year}/{month}/{ruleKey}', { year: '2019', month: '2', ruleKey: 'rainmaker' }, {
+        format: 'csv',
+      }),
+    ).toBeUndefined();
+
+    const error = validate('/rankings/x/{year}/{month}/{ruleKey}', { year: '2019', month: '13', ruleKey: 'foo' }, {
+      format: 'xml',
+    });
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details).toEqual([
+      { in: 'path', name: 'month', message: 'must be less than or equal to 12' },
+      { in: 'path', name: 'ruleKey', message: expect.stringMatching(/^must be one of /) },
+      { in: 'query', name: 'format', message: expect.stringMatching(/^must be one of /) },
+    ]);
+
+    expect(validate('/players/search', {}, {}).details).toEqual([
+      { in: 'query', name: 'name', message: 'is required' },
+    ]);
+    expect(validate('/players/search', {}, { name: '' }).details).toEqual([
+      { in: 'query', name: 'name', message: 'is required' },
+    ]);
+    expect(validate('/players/search', {}, { name: 'イカ' })).toBeUndefined();
+  });
+});
+
+describe('Conditional GET', () => {
+  const requestETag = async (...datasets) => {
+    const headers = {};
+    const next = jest.fn();
+    await conditionalGet(...datasets)(
+      { query: { format: 'json' }, fresh: false },
+      { setHeader: (name, value) => Object.assign(headers, { [name]: value }) },
+      next,
+    );
+    expect(next).toHaveBeenCalledWith();
+    return headers.ETag;
+  };
+
+  test('ingestion updates ETag and discards cached values', async () => {
+    queryLastIngestedAt.mockResolvedValue({ x: '2019-02-01 00:00:00.000', league: '2019-02-01 02:00:00.000' });
+    const etag = await requestETag('x');
+    expect(await cacheUntilIngested(['x'], 'test', async () => 'old')).toBe('old');
+    expect(await cacheUntilIngested(['x'], 'test', async () => 'new')).toBe('old');
+
+    // League ingestion doesn't affect X Ranking.
+    queryLastIngestedAt.mockResolvedValue({ x: '2019-02-01 00:00:00.000', league: '2019-02-01 04:00:00.000' });
+    expect(await requestETag('x')).toBe(etag);
+    expect(await cacheUntilIngested(['x'], 'test', async () => 'new')).toBe('old');
+
+    queryLastIngestedAt.mockResolvedValue({ x: '2019-03-01 00:00:00.000', league: '2019-02-01 04:00:00.000' });
+    expect(await requestETag('x')).not.toBe(etag);
+    expect(await cacheUntilIngested(['x'], 'test', async () => 'new')).toBe('new');
+  });
+});
+
+describe('Player stats', () => {
+  test('comparePlayers', async () => {
+    const records = {
+      a000000000000000: {
+        x: [
+          { rule_id: 1, start_time: '2019-01-01 00:00:00', rank: 10, rating: 2700, weapon_id: 40 },
+          { rule_id: 1, start_time: '2019-02-01 00:00:00', rank: 5, rating: 2800, weapon_id: 40 },
+        ],
+        league: [
+          { rule_id: 1, group_type: 'T', start_time: '2019-01-01 00:00:00', rating: 2500, weapon_id: 40 },
+          { rule_id: 1, group_type: 'T', start_time: '2019-01-02 00:00:00', rating: 2600, weapon_id: 50 },
+        ],
+        splatfest: [],
+      },
+      b000000000000000: {
+        x: [{ rule_id: 1, start_time: '2019-02-01 00:00:00', rank: 1, rating: 2900, weapon_id: 60 }],
+        league: [],
+        splatfest: [
+          { region: 'na', splatfest_id: 1, start_time: '2019-01-01 00:00:00', team_id: 0, rank: 3, rating: 2100, weapon_id: 60 },
+        ],
+      },
+    };
+    getKnownNames.mockImplementation(async (playerId) => [{ player_name: `name of ${playerId[0]}` }]);
+    queryPlayerRankingRecords.mockImplementation(async (rankingType, playerId) => records[playerId][rankingType]);
+
+    const result = await comparePlayers(['b000000000000000', 'a000000000000000']);
+    expect(result.players).toEqual([
+      { id: 'b000000000000000', name: 'name of b' },
+      { id: 'a000000000000000', name: 'name of a' },
+    ]);
+    expect(result.x[1]).toEqual({
+      months: [
+        {
+          start_time: '2019-02-01 00:00:00',
+          players: [
+            { rank: 1, rating: 2900, weapon_id: 60 },
+            { rank: 5, rating: 2800, weapon_id: 40 },
+          ],
+        },
+        { start_time: '2019-01-01 00:00:00', players: [null, { rank: 10, rating: 2700, weapon_id: 40 }] },
+      ],
+      overlapping_months: ['2019-02-01 00:00:00'],
+    });
+    expect(result.league[1]).toEqual({
+      team: [null, { rating: 2600, start_time: '2019-01-02 00:00:00', weapon_id: 50 }],
+      pair: [null, null],
+    });
+    expect(result.splatfest).toEqual([
+      {
+        region: 'na',
+        splatfest_id: 1,
+        start_time: '2019-01-01 00:00:00',
+        players: [{ team_id: 0, rank: 3, rating: 2100, weapon_id: 60 }, null],
+      },
+    ]);
+  });
+
+  test('findLongestStreak', () => {
+    expect(findLongestStreak([])).toBeNull();
+    expect(findLongestStreak(['2019-02-01 00:00:00'])).toEqual({
+      months: 1,
+      from: '2019-02-01 00:00:00',
+      to: '2019-02-01 00:00:00',
+    });
+    // The first of the longest streaks is taken.
+    expect(findLongestStreak(['2019-01-01 00:00:00', '2019-03-01 00:00:00', '2019-05-01 00:00:00'])).toEqual({
+      months: 1,
+      from: '2019-01-01 00:00:00',
+      to: '2019-01-01 00:00:00',
+    });
+    expect(
+      findLongestStreak([
+        '2018-06-01 00:00:00',
+        '2018-07-01 00:00:00',
+        '2018-11-01 00:00:00',
+        '2018-12-01 00:00:00',
+        '2019-01-01 00:00:00',
+        '2019-03-01 00:00:00',
+      ]),
+    ).toEqual({ months: 3, from: '2018-11-01 00:00:00', to: '2019-01-01 00:00:00' });
+  });
+
+  test('queryPlayerSummary', async () => {
+    queryLastIngestedAt.mockResolvedValue({ x: '2019-04-01 00:00:00.000' });
+    queryXPeakRatings.mockResolvedValue({ 1: [2400, 2500, 2600, 2700], 2: [2500] });
+    queryPlayerRankingRecords.mockResolvedValue([
+      { rule_id: 1, start_time: '2019-03-01 00:00:00', rank: 20, rating: 2600, weapon_id: 40 },
+      { rule_id: 1, start_time: '2019-01-01 00:00:00', rank: 40, rating: 2550, weapon_id: 40 },
+      { rule_id: 1, start_time: '2019-02-01 00:00:00', rank: 30, rating: 2500, weapon_id: 50 },
+    ]);
+    queryPlayerLeagueAppearances.mockResolvedValue([{ group_type: 'T', count: 3 }]);
+
+    const summary = await queryPlayerSummary('f0123456789abcde');
+    expect(summary.x[1]).toEqual({
+      peak: { rating: 2600, rank: 20, start_time: '2019-03-01 00:00:00', weapon_id: 40 },
+      months: 3,
+      longest_streak: { months: 3, from: '2019-01-01 00:00:00', to: '2019-03-01 00:00:00' },
+      average_rank: 30,
+      percentile: 50,
+    });
+    expect(summary.x[2]).toBeNull();
+    expect(summary.league).toEqual({ team: 3, pair: 0 });
+  });
+
+  test('queryPlayerTeammates', async () => {
+    // Ordered by start_time desc
+    queryPlayerRankingRecords.mockResolvedValue([
+      {
+        group_type: 'P',
+        start_time: '2019-03-01 00:00:00',
+        rating: 2400,
+        teammates: [{ player_id: 'b000000000000000', player_name: 'B' }],
+      },
+      {
+        group_type: 'T',
+        start_time: '2019-02-01 00:00:00',
+        rating: 2600,
+        teammates: [
+          { player_id: 'b000000000000000', player_name: 'B' },
+          { player_id: 'c000000000000000', player_name: 'C' },
+        ],
+      },
+      { group_type: 'T', start_time: '2019-01-01 00:00:00', rating: 2500, teammates: null },
+    ]);
+    const network = { nodes: [], edges: [] };
+    queryLeagueTeammateNetwork.mockResolvedValue(network);
+
+    const { teammates } = await queryPlayerTeammates('a000000000000000');
+    expect(teammates).toEqual([
+      {
+        player_id: 'b000000000000000',
+        player_name: 'B',
+        count: 2,
+        best_rating: 2600,
+        first_seen: '2019-02-01 00:00:00',
+        last_seen: '2019-03-01 00:00:00',
+        group_types: ['P', 'T'],
+      },
+      {
+        player_id: 'c000000000000000',
+        player_name: 'C',
+        count: 1,
+        best_rating: 2600,
+        first_seen: '2019-02-01 00:00:00',
+        last_seen: '2019-02-01 00:00:00',
+        group_types: ['T'],
+      },
+    ]);
+    expect(queryLeagueTeammateNetwork).not.toHaveBeenCalled();
+
+    expect((await queryPlayerTeammates('a000000000000000', { depth: 2 })).network).toBe(network);
+    expect(queryLeagueTeammateNetwork).toHaveBeenCalledWith(['a000000000000000', 'b000000000000000', 'c000000000000000']);
+  });
+
+  test('queryPlayerWeapons', async () => {
+    // 45 is a reskin of 40. Rows are ordered by month.
+    queryPlayerWeaponUsage.mockResolvedValue([
+      {
+        ranking_type: 'x',
+        month: '2019-01',
+        weapon_id: 40,
+        count: 1,
+        first_seen: '2019-01-01 00:00:00',
+        last_seen: '2019-01-01 00:00:00',
+        best_rating: 2700,
+      },
+      {
+        ranking_type: 'league',
+        month: '2019-01',
+        weapon_id: 50,
+        count: 2,
+        first_seen: '2019-01-02 00:00:00',
+        last_seen: '2019-01-03 00:00:00',
+        best_rating: 2500,
+      },
+      {
+        ranking_type: 'league',
+        month: '2019-02',
+        weapon_id: 45,
+        count: 2,
+        first_seen: '2019-02-01 00:00:00',
+        last_seen: '2019-02-02 00:00:00',
+        best_rating: 2400,
+      },
+    ]);
+
+    const { weapons, timeline } = await queryPlayerWeapons('a000000000000000', { timeline: true });
+    expect(weapons).toEqual([
+      {
+        weapon_id: 40,
+        count: 3,
+        first_seen: '2019-01-01 00:00:00',
+        last_seen: '2019-02-02 00:00:00',
+        rankings: {
+          x: { count: 1, first_seen: '2019-01-01 00:00:00', last_seen: '2019-01-01 00:00:00', best_rating: 2700 },
+          league: { count: 2, first_seen: '2019-02-01 00:00:00', last_seen: '2019-02-02 00:00:00', best_rating: 2400 },
+        },
+      },
+      {
+        weapon_id: 50,
+        count: 2,
+        first_seen: '2019-01-02 00:00:00',
+        last_seen: '2019-01-03 00:00:00',
+        rankings: {
+          league: { count: 2, first_seen: '2019-01-02 00:00:00', last_seen: '2019-01-03 00:00:00', best_rating: 2500 },
+        },
+      },
+    ]);
+    expect(timeline).toEqual([
+      {
+        month: '2019-01',
+        weapons: [
+          { weapon_id: 50, count: 2 },
+          { weapon_id: 40, count: 1 },
+        ],
+      },
+      { month: '2019-02', weapons: [{ weapon_id: 40, count: 2 }] },
+    ]);
+    expect(await queryPlayerWeapons('a000000000000000')).toEqual({ weapons });
+  });
+});
+
+describe('Leaderboard pagination', () => {
+  let server;
+  const get = async (path) => {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  beforeAll((done) => {
+    server = app.listen(0, done);
+  });
+  afterAll((done) => server.close(done));
+  beforeEach(() => {
+    queryLastIngestedAt.mockResolvedValue({ x: '2019-02-01 00:00:00.000', league: '2019-02-01 02:00:00.000' });
+  });
+
+  test('cursor of X Ranking round-trips', async () => {
+    const rows = [
+      { rank: 1, player_id: 'a000000000000000' },
+      { rank: 2, player_id: 'b000000000000000' },
+      { rank: 2, player_id: 'c000000000000000' },
+    ];
+    // Queries return up to `limit + 1` rows.
+    queryXRankings.mockResolvedValueOnce({ rows, total: 3 });
+    const first = await get('/v2/rankings/x/2019/1/splat_zones?limit=2');
+    expect(first.body.data).toEqual(rows.slice(0, 2));
+
+    queryXRankings.mockResolvedValueOnce({ rows: rows.slice(2), total: 3 });
+    const second = await get(`/v2/rankings/x/2019/1/splat_zones?limit=2&cursor=${first.body.next_cursor}`);
+    expect(queryXRankings).toHaveBeenLastCalledWith(expect.objectContaining({ after: [2, 'b000000000000000'] }));
+    expect(second.body).toEqual({ data: rows.slice(2), next_cursor: null, total: 3 });
+
+    const malformed = encodeCursor([2, 'not a player id']);
+    expect((await get(`/v2/rankings/x/2019/1/splat_zones?cursor=${malformed}`)).status).toBe(400);
+  });
+
+  test('cursor of combined league leaderboard round-trips', async () => {
+    const team = (totalRating, ...playerIds) => ({
+      total_rating: totalRating,
+      average_rating: totalRating / 2,
+      members: playerIds.map((playerId) => ({ player_id: playerId, player_name: null })),
+    });
+    const rows = [team(5200, 'a000000000000000', 'b000000000000000'), team(5100, 'a000000000000000', 'c000000000000000')];
+    queryLeagueCombinedPeakLeaderboard.mockResolvedValueOnce({ rows, total: 2 });
+    const first = await get('/leaderboards/league/P/all?limit=1');
+    expect(first.body.data).toEqual(rows.slice(0, 1));
+
+    queryLeagueCombinedPeakLeaderboard.mockResolvedValueOnce({ rows: rows.slice(1), total: 2 });
+    await get(`/leaderboards/league/P/all?limit=1&cursor=${first.body.next_cursor}`);
+    expect(queryLeagueCombinedPeakLeaderboard).toHaveBeenLastCalledWith({
+      groupType: 'P',
+      sort: 'total',
+      after: [5200, 'a000000000000000,b000000000000000'],
+      limit: 1,
+    });
+
+    const malformed = encodeCursor(['5200', 'a000000000000000,b000000000000000']);
+    expect((await get(`/leaderboards/league/P/all?cursor=${malformed}`)).status).toBe(400);
+  });
+
+  test('cursor of hall of fame round-trips', async () => {
+    const rows = [
+      { player_id: 'a000000000000000', months: 3, appearances: 10 },
+      { player_id: 'b000000000000000', months: 2, appearances: 10 },
+    ];
+    queryHallOfFame.mockResolvedValueOnce({ rows, total: 2 });
+    const first = await get('/hall-of-fame/league?limit=1&min_rating=2600');
+    expect(first.body.data).toEqual(rows.slice(0, 1));
+
+    // League is ordered by appearances first, and X Ranking is ordered by months first.
+    queryHallOfFame.mockResolvedValueOnce({ rows: rows.slice(1), total: 2 });
+    await get(`/hall-of-fame/league?limit=1&min_rating=2600&cursor=${first.body.next_cursor}`);
+    expect(queryHallOfFame).toHaveBeenLastCalledWith(
+      expect.objectContaining({ rankingType: 'league', minRating: 2600, after: [10, 3, 'a000000000000000'] }),
+    );
+
+    queryHallOfFame.mockResolvedValueOnce({ rows, total: 2 });
+    const x = await get('/hall-of-fame/x?limit=1');
+    queryHallOfFame.mockResolvedValueOnce({ rows: rows.slice(1), total: 2 });
+    await get(`/hall-of-fame/x?limit=1&cursor=${x.body.next_cursor}`);
+    expect(queryHallOfFame).toHaveBeenLastCalledWith(expect.objectContaining({ after: [3, 10, 'a000000000000000'] }));
+
+    expect((await get('/hall-of-fame/league?min_rating=2500')).status).toBe(400);
+  });
+});
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const moment = require('moment-timezone');
+const { UnprocessableEntityError } = require('./errors');
 
 /**
  * @desc Resolve object value by path. Also works on arrays.
@@ -40,6 +41,24 @@ const calculateLeagueDate = (startTime) => {
  */
 const calculateStartTimeFromLeagueDate = (leagueDate) => moment.utc(leagueDate, 'YYMMDDHH', true).local().valueOf();
 
+/**
+ * @desc Guess whether a league rotation is a monthly league battle.
+ * Neither SplatNet nor Splatoon2.ink marks them, so this relies on the schedule:
+ * they are held in the rotation starting at 12:00 UTC on the first Friday of a month and the one 12 hours later.
+ * The rule isn't confirmed by any official schedule. Remove wrong guesses from `monthly_league_battle_schedules`,
+ * and register missed ones with `add-monthly-league-battles`.
+ * Keep this in sync with the backfill in sql/create_tables.sql.
+ * @param {(Number|Date)} startTime
+ * @returns {Boolean}
+ * @example isMonthlyLeagueBattle(Date.UTC(2019, 1, 1, 12)) === true
+ */
+const isMonthlyLeagueBattle = (startTime) => {
+  const time = moment.utc(startTime);
+  const firstFriday = time.clone().startOf('month');
+  firstFriday.add({ days: (5 - firstFriday.day() + 7) % 7, hours: 12 });
+  return time.isSame(firstFriday) || time.isSame(firstFriday.add({ hours: 12 }));
+};
+
 /**
  * @desc Convert Date object to SQL timestamp string.
  * @param {(Number|Date)} date
@@ -48,6 +67,64 @@ const calculateStartTimeFromLeagueDate = (leagueDate) => moment.utc(leagueDate,
  */
 const dateToSqlTimestamp = (date) => moment(date).tz('UTC').format('YYYY-MM-DD HH:mm:ss');
 
+/**
+ * @desc Encode sort key values of the last row of a page into an opaque, URL-safe cursor.
+ * @param {Array} values
+ * @returns {String} cursor
+ * @example decodeCursor(encodeCursor([1, 'abc'])) // [1, 'abc']
+ */
+const encodeCursor = (values) =>
+  Buffer.from(JSON.stringify(values)).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const cursorValueTypes = {
+  number: (value) => Number.isFinite(value),
+  playerId: (value) => typeof value === 'string' && /^[0-9a-f]{16}$/.test(value),
+  // Comma separated IDs of league team members
+  playerIds: (value) => typeof value === 'string' && /^[0-9a-f]{16}(,[0-9a-f]{16}){0,7}$/.test(value),
+  groupId: (value) => typeof value === 'string' && value.length > 0 && value.length <= 16,
+  timestamp: (value) => typeof value === 'string' && moment.utc(value, 'YYYY-MM-DD HH:mm:ss', true).isValid(),
+};
+
+/**
+ * @desc Inverse function of encodeCursor.
+ * Values are checked against `types` so that crafted cursors never reach the database.
+ * @param {String} cursor
+ * @param {Array<('number'|'playerId'|'playerIds'|'groupId'|'timestamp')>} types Expected type of each value
+ * @returns {?Array} Decoded values, or null if cursor is malformed.
+ * @example decodeCursor(encodeCursor([1, 'abc']), ['number', 'playerId']) === null
+ */
+const decodeCursor = (cursor, types) => {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64').toString());
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(values) || values.length !== types.length) return null;
+  return values.every((value, i) => cursorValueTypes[types[i]](value)) ? values : null;
+};
+
+/**
+ * @desc Parse range of months given as `YYYY-MM` query strings. Either end can be omitted.
+ * @param {?String} from First month
+ * @param {?String} to Last month (inclusive)
+ * @returns {{ startTime: ?moment.Moment, endTime: ?moment.Moment }} endTime is the beginning of the month after `to`
+ * @throws {UnprocessableEntityError} If a month doesn't exist or `to` is before `from`
+ * @example parseMonthRange('2019-01', '2019-02').endTime.format('YYYY-MM') === '2019-03'
+ */
+const parseMonthRange = (from, to) => {
+  const startTime = from ? moment.utc(from, 'YYYY-MM', true) : null;
+  const endTime = to ? moment.utc(to, 'YYYY-MM', true).add({ month: 1 }) : null;
+  if (
+    (startTime && !startTime.isValid()) ||
+    (endTime && !endTime.isValid()) ||
+    (startTime && endTime && endTime <= startTime)
+  ) {
+    throw new UnprocessableEntityError('Invalid date(s).');
+  }
+  return { startTime, endTime };
+};
+
 /**
  * @desc Escape query to be used in LIKE query.
  * @param {String} Query
@@ -56,6 +133,19 @@ const dateToSqlTimestamp = (date) => moment(date).tz('UTC').format('YYYY-MM-DD H
  */
 const escapeLikeQuery = (query) => query.replace(/[%_]/g, (m) => `\\${m}`);
 
+/**
+ * @desc Normalize player name for search: NFKC, lower case and katakana into hiragana.
+ * Keep this in sync with `normalize_player_name` function in sql/create_tables.sql.
+ * @param {String} name
+ * @returns {String} Normalized name
+ * @example normalizePlayerName('ｽﾌﾟﾗＡ') === 'すぷらa'
+ */
+const normalizePlayerName = (name) =>
+  name
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\u30a1-\u30f6]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0x60));
+
 /**
  * @desc Get weapon class (defined in weaponClasses in `./data`) by weapon id.
  * **Note that this function returns 'shooter' for unknown weapons.**
@@ -146,10 +236,15 @@ module.exports = {
   calculateLeagueDate,
   calculateStartTimeFromLeagueDate,
   dateToSqlTimestamp,
+  decodeCursor,
+  encodeCursor,
   escapeLikeQuery,
   getWeaponClassById,
   i18n,
   i18nEn,
+  isMonthlyLeagueBattle,
+  normalizePlayerName,
+  parseMonthRange,
   randomBetween,
   range,
   resolveObjectPath,
@@ -1,10 +1,23 @@
 const express = require('express');
-const { wrapPromise } = require('./util');
-const { getKnownNames } = require('./query');
+const moment = require('moment-timezone');
+const { dateToSqlTimestamp, decodeCursor, encodeCursor, parseMonthRange, wrapPromise } = require('./util');
+const { findRuleId, getOriginalWeaponId, rankedRules, weaponClasses } = require('./data');
+const { getKnownNames, queryLeagueWeaponLeaderboard, queryXRankings } = require('./query');
+const { conditionalGet } = require('./conditional-get');
+const { ValidationError } = require('./errors');
+const { validateRequest } = require('./openapi');
+
+const X_RANKINGS_DEFAULT_LIMIT = 100;
+const LEAGUE_WEAPON_LEADERBOARD_DEFAULT_LIMIT = 100;
+const LEAGUE_WEAPON_HISTOGRAM_DEFAULT_INTERVAL = 20;
+
+const rulesPattern = rankedRules.map((rule) => rule.key).join('|');
 
 const router = express.Router();
 router.get(
   '/players/:playerId([\\da-f]{16})',
+  validateRequest('/v2/players/{playerId}'),
+  conditionalGet('league', 'x', 'splatfest'),
   wrapPromise(async (req, res) => {
     const id = req.params.playerId;
     const [names] = await Promise.all([getKnownNames(id)]);
@@ -17,4 +30,89 @@ router.get(
   }),
 );
 
+router.get(
+  `/rankings/x/:year(\\d{4})/:month([1-9]|1[0-2])/:ruleKey(${rulesPattern})`,
+  validateRequest('/v2/rankings/x/{year}/{month}/{ruleKey}'),
+  conditionalGet('x'),
+  wrapPromise(async (req, res) => {
+    const { year, month, ruleKey } = req.params;
+    const { cursor, name, weapon_class: weaponClassKey } = req.query;
+
+    // Query strings are already validated, so they can be parsed safely.
+    const parseNumber = (key) => (req.query[key] ? Number(req.query[key]) : undefined);
+    const numbers = {
+      limit: parseNumber('limit') ?? X_RANKINGS_DEFAULT_LIMIT,
+      weaponId: parseNumber('weapon_id'),
+      minRating: parseNumber('min_rating'),
+      maxRating: parseNumber('max_rating'),
+      minRank: parseNumber('min_rank'),
+      maxRank: parseNumber('max_rank'),
+    };
+    const weaponClass = weaponClasses.find((wc) => wc.key === weaponClassKey);
+
+    const after = cursor ? decodeCursor(cursor, ['number', 'playerId']) : null;
+    if (cursor && !after) {
+      throw new ValidationError('Invalid parameter(s).', [{ in: 'query', name: 'cursor', message: 'is malformed' }]);
+    }
+
+    const { limit } = numbers;
+    const { rows, total } = await queryXRankings({
+      ...numbers,
+      startTime: moment.utc({ year, month: month - 1 }),
+      ruleId: findRuleId(ruleKey),
+      weaponClassId: weaponClass?.id,
+      name,
+      after,
+    });
+
+    const data = rows.slice(0, limit);
+    const last = data[data.length - 1];
+    res.json({
+      data,
+      next_cursor: rows.length > limit ? encodeCursor([last.rank, last.player_id]) : null,
+      total,
+    });
+  }),
+);
+
+router.get(
+  '/weapons/:weaponId(\\d+)/league/leaderboard',
+  validateRequest('/v2/weapons/{weaponId}/league/leaderboard'),
+  conditionalGet('league'),
+  wrapPromise(async (req, res) => {
+    const { cursor, from, to, rule, group_type: groupType } = req.query;
+    const limit = req.query.limit ? Number(req.query.limit) : LEAGUE_WEAPON_LEADERBOARD_DEFAULT_LIMIT;
+
+    const { startTime, endTime } = parseMonthRange(from, to);
+
+    const after = cursor ? decodeCursor(cursor, ['number', 'timestamp', 'groupId']) : null;
+    if (cursor && !after) {
+      throw new ValidationError('Invalid parameter(s).', [{ in: 'query', name: 'cursor', message: 'is malformed' }]);
+    }
+
+    const weaponId = getOriginalWeaponId(Number(req.params.weaponId));
+    const { rows, total, histogram } = await queryLeagueWeaponLeaderboard({
+      weaponId,
+      groupType,
+      ruleId: rule ? findRuleId(rule) : 0,
+      stageId: req.query.stage ? Number(req.query.stage) : undefined,
+      startTime: startTime && dateToSqlTimestamp(startTime),
+      endTime: endTime && dateToSqlTimestamp(endTime),
+      interval: req.query.interval ? Number(req.query.interval) : LEAGUE_WEAPON_HISTOGRAM_DEFAULT_INTERVAL,
+      after,
+      limit,
+    });
+
+    const data = rows.slice(0, limit);
+    const last = data[data.length - 1];
+    res.json({
+      weapon_id: weaponId,
+      data,
+      next_cursor: rows.length > limit ? encodeCursor([last.rating, last.start_time, last.group_id]) : null,
+      total,
+      histogram,
+    });
+  }),
+);
+
 module.exports = router;
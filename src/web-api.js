@@ -11,28 +11,62 @@ const Tracing = require('@sentry/tracing');
 const Cache = require('./cache');
 const config = require('../config');
 const { db } = require('./db');
+const { APIError, BadRequestError, NotFoundError, UnprocessableEntityError, ValidationError } = require('./errors');
+const { cacheUntilIngested, conditionalGet } = require('./conditional-get');
+const { sendRows } = require('./formats');
+const { comparePlayers, queryPlayerSummary, queryPlayerTeammates, queryPlayerWeapons } = require('./player-stats');
+const { spec, validateRequest } = require('./openapi');
 const {
+  calculateLeagueDate,
   calculateStartTimeFromLeagueDate,
   dateToSqlTimestamp,
-  escapeLikeQuery,
+  decodeCursor,
+  encodeCursor,
   getWeaponClassById,
+  i18n,
+  parseMonthRange,
   range,
   wrapPromise,
 } = require('./util');
-const { groupTypes, findRuleId, rankedRules, rankedRuleIds, getOriginalWeaponId } = require('./data');
+const {
+  groupTypes,
+  findRuleId,
+  findRuleKey,
+  findWeaponClassId,
+  rankedRules,
+  rankedRuleIds,
+  getOriginalWeaponId,
+} = require('./data');
 const {
   joinLatestName,
   queryLatestXRankingStartTime,
+  queryLeagueCombinedPeakLeaderboard,
+  queryLeagueCompositions,
+  queryLeagueGroupRankings,
+  queryLeagueSchedules,
+  queryLeaguePeakLeaderboard,
   queryLeagueWeaponRuleRecords,
   queryLeagueWeaponsRuleRecords,
   queryWeaponRanking,
+  queryWeaponSynergy,
   queryWeaponUsageDifference,
   queryWeaponTopPlayers,
   queryXWeaponRuleRecords,
   queryXWeaponRuleRecordsCount,
   getWeaponIds,
   getKnownNames,
+  getMonthlyLeagueBattleSchedule,
+  queryHallOfFame,
+  queryMonthlyLeagueBattles,
+  queryNameTimeline,
   queryPlayerRankingRecords,
+  queryPlayersByName,
+  queryRatingDistributions,
+  queryRatingPercentile,
+  queryXCombinedPeakLeaderboard,
+  queryXPeakLeaderboard,
+  queryXRankingMovement,
+  searchPlayers,
 } = require('./query');
 
 const app = express();
@@ -98,8 +132,13 @@ app.get('/', (req, res) => {
   res.send('It works.');
 });
 
+app.get('/openapi.json', (req, res) => {
+  res.json(spec);
+});
+
 app.get(
   '/data',
+  validateRequest('/data'),
   wrapPromise(async (req, res) => {
     const rows = await db
       .select('weapon_id', db.raw('main_reference != weapon_id as is_variant'))
@@ -119,6 +158,8 @@ app.get(
 
 app.get(
   '/players/:playerId([\\da-f]{16})',
+  validateRequest('/players/{playerId}'),
+  conditionalGet('league', 'x', 'splatfest'),
   wrapPromise(async (req, res) => {
     const id = req.params.playerId;
     const [names, x, league, splatfest] = await Promise.all([
@@ -141,14 +182,27 @@ app.get(
 
 app.get(
   '/players/:playerId([\\da-f]{16})/known_names',
+  validateRequest('/players/{playerId}/known_names'),
+  conditionalGet('league', 'x', 'splatfest'),
   wrapPromise(async (req, res) => {
     const names = await getKnownNames(req.params.playerId);
     res.json(names);
   }),
 );
 
+app.get(
+  '/players/:playerId([\\da-f]{16})/names/timeline',
+  validateRequest('/players/{playerId}/names/timeline'),
+  conditionalGet('x', 'splatfest'),
+  wrapPromise(async (req, res) => {
+    res.json(await queryNameTimeline(req.params.playerId));
+  }),
+);
+
 app.get(
   '/players/:playerId([\\da-f]{16})/rankings/:rankingType(league|x|splatfest)',
+  validateRequest('/players/{playerId}/rankings/{rankingType}'),
+  conditionalGet('league', 'x', 'splatfest'),
   wrapPromise(async (req, res) => {
     const { rankingType, playerId } = req.params;
     const rows = await queryPlayerRankingRecords(rankingType, playerId);
@@ -156,37 +210,70 @@ app.get(
   }),
 );
 
+app.get(
+  '/players/:playerId([\\da-f]{16})/teammates',
+  validateRequest('/players/{playerId}/teammates'),
+  conditionalGet('league'),
+  wrapPromise(async (req, res) => {
+    const depth = req.query.depth ? Number(req.query.depth) : 1;
+    res.json(await queryPlayerTeammates(req.params.playerId, { depth }));
+  }),
+);
+
+app.get(
+  '/players/:playerId([\\da-f]{16})/weapons',
+  validateRequest('/players/{playerId}/weapons'),
+  conditionalGet('league', 'x', 'splatfest'),
+  wrapPromise(async (req, res) => {
+    const timeline = req.query.timeline === 'true';
+    res.json(await queryPlayerWeapons(req.params.playerId, { timeline }));
+  }),
+);
+
+app.get(
+  '/players/:playerId([\\da-f]{16})/summary',
+  validateRequest('/players/{playerId}/summary'),
+  conditionalGet('league', 'x'),
+  wrapPromise(async (req, res) => {
+    res.json(await queryPlayerSummary(req.params.playerId));
+  }),
+);
+
 app.get(
   '/players/search',
+  validateRequest('/players/search'),
+  conditionalGet('league', 'x', 'splatfest'),
   wrapPromise(async (req, res) => {
-    const { name } = req.query;
+    res.json(await searchPlayers(req.query.name));
+  }),
+);
 
-    const rows = await db
-      .with('players', (cte) => {
-        cte
-          .select(['player_id', 'player_name', 'last_used'])
-          .from('player_known_names')
-          .where('player_name', 'ilike', `%${escapeLikeQuery(name)}%`)
-          .orderBy('last_used', 'desc')
-          .orderBy('player_id', 'asc')
-          .limit(50);
-      })
-      .with('player_max_ratings', (cte) => {
-        cte
-          .select('xr.player_id', db.raw('MAX(xr.rating) as max_x_rating'))
-          .from('players')
-          .innerJoin({ xr: 'x_rankings' }, 'xr.player_id', 'players.player_id')
-          .groupBy('xr.player_id');
-      })
-      .select('*')
-      .from('players')
-      .innerJoin({ pmr: 'player_max_ratings' }, 'pmr.player_id', 'players.player_id');
-    res.json(rows);
+app.get(
+  '/players/compare',
+  validateRequest('/players/compare'),
+  conditionalGet('league', 'x', 'splatfest'),
+  wrapPromise(async (req, res) => {
+    const playerIds = req.query.ids.split(',');
+    if (new Set(playerIds).size !== playerIds.length) {
+      throw new UnprocessableEntityError('Duplicate player IDs.');
+    }
+    res.json(await comparePlayers(playerIds));
+  }),
+);
+
+app.get(
+  '/names/:name/players',
+  validateRequest('/names/{name}/players'),
+  conditionalGet('x', 'splatfest'),
+  wrapPromise(async (req, res) => {
+    res.json(await queryPlayersByName(req.params.name));
   }),
 );
 
 app.get(
   '/rankings/x/:year(\\d{4})/:month([1-9]|1[0-2])/:ruleKey([a-z_]+)',
+  validateRequest('/rankings/x/{year}/{month}/{ruleKey}'),
+  conditionalGet('x'),
   wrapPromise(async (req, res) => {
     const { year, month, ruleKey } = req.params;
 
@@ -202,25 +289,60 @@ app.get(
       .orderBy('rank', 'asc')
       .orderBy('x_rankings.player_id', 'asc');
     if (!rows.length) {
-      res.sendStatus(404);
-      return;
+      throw new NotFoundError('No ranking is available.');
     }
-    res.json(rows);
+    sendRows(req, res, rows, { filename: `x-ranking-${startTime.format('YYYY-MM')}-${ruleKey}` });
+  }),
+);
+
+app.get(
+  '/rankings/x/:year(\\d{4})/:month([1-9]|1[0-2])/:ruleKey([a-z_]+)/movement',
+  validateRequest('/rankings/x/{year}/{month}/{ruleKey}/movement'),
+  conditionalGet('x'),
+  wrapPromise(async (req, res) => {
+    const { year, month, ruleKey } = req.params;
+    const startTime = moment.utc({ year, month: month - 1 });
+
+    const rows = await queryXRankingMovement(startTime, findRuleId(ruleKey));
+    if (!rows.some((row) => row.current_rank)) {
+      throw new NotFoundError('No ranking is available.');
+    }
+    // Otherwise every player would be reported as a new entrant.
+    if (!rows.some((row) => row.previous_rank)) {
+      throw new NotFoundError('No ranking is available for the previous month.');
+    }
+
+    // Players who were in both months
+    const stayed = rows.filter((row) => row.current_rank && row.previous_rank);
+    res.json({
+      previous_month: startTime.clone().subtract(1, 'month').format('YYYY-MM'),
+      current_month: startTime.format('YYYY-MM'),
+      risers: stayed.filter((row) => row.rank_delta > 0).sort((a, b) => b.rank_delta - a.rank_delta),
+      fallers: stayed.filter((row) => row.rank_delta < 0).sort((a, b) => a.rank_delta - b.rank_delta),
+      new_entrants: rows.filter((row) => !row.previous_rank),
+      dropped_out: rows.filter((row) => !row.current_rank),
+      // Reskins are not counted as different weapons.
+      weapon_changes: stayed.filter(
+        (row) => getOriginalWeaponId(row.previous_weapon_id) !== getOriginalWeaponId(row.current_weapon_id),
+      ),
+    });
   }),
 );
 
-// eslint-disable-next-line
 app.get(
-  '/rankings/league/:leagueDate(\\d{8}):groupType([TP])',
+  '/rankings/league/:leagueId(\\d{8}[TP])',
+  validateRequest('/rankings/league/{leagueId}'),
+  conditionalGet('league'),
   wrapPromise(async (req, res) => {
-    const { leagueDate, groupType } = req.params;
+    const { leagueId } = req.params;
+    const leagueDate = leagueId.substring(0, 8);
+    const groupType = leagueId.substring(8);
 
     const startTime = calculateStartTimeFromLeagueDate(leagueDate);
 
     // Instead of validating, just check if it's a valid date.
     if (Number.isNaN(startTime)) {
-      res.status(422).send('Bad league ID.');
-      return;
+      throw new UnprocessableEntityError('Bad league ID.');
     }
 
     const result = await db.raw(
@@ -238,15 +360,27 @@ app.get(
 
     const { rows } = result;
     if (!rows.length) {
-      res.sendStatus(404);
-      return;
+      throw new NotFoundError('No ranking is available.');
     }
-    res.json(result.rows);
+    sendRows(req, res, rows, {
+      filename: `league-ranking-${leagueId}`,
+      columns: ['rank', 'rating', 'group_id', 'player_id', 'weapon_id', 'player_name'],
+      // One row per member
+      flatten: ({ group_members: members, ...group }) =>
+        (members ?? [[null, null, null]]).map(([playerId, weaponId, playerName]) => ({
+          ...group,
+          player_id: playerId,
+          weapon_id: weaponId && Number(weaponId),
+          player_name: playerName,
+        })),
+    });
   }),
 );
 
 app.get(
   '/rankings/splatfest/:region((na|eu|jp))/:splatfestId(\\d+)',
+  validateRequest('/rankings/splatfest/{region}/{splatfestId}'),
+  conditionalGet('splatfest'),
   wrapPromise(async (req, res) => {
     const { region, splatfestId } = req.params;
 
@@ -257,10 +391,9 @@ app.get(
       .where({ region, splatfest_id: splatfestId })
       .orderBy('rank', 'asc');
     if (!rows.length) {
-      res.sendStatus(404);
-      return;
+      throw new NotFoundError('No ranking is available.');
     }
-    res.json(rows);
+    sendRows(req, res, rows, { filename: `splatfest-ranking-${region}-${splatfestId}` });
   }),
 );
 
@@ -273,80 +406,457 @@ const weaponPopularityRouterCallback = wrapPromise(async (req, res) => {
   const startTimestamp = dateToSqlTimestamp(startTime);
   const endTimestamp = dateToSqlTimestamp(startTime.add({ month: 1 }));
 
-  try {
-    const rows = await queryWeaponRanking({
-      rankingType,
-      weaponType,
-      startTime: startTimestamp,
-      endTime: endTimestamp,
-      ruleId,
-      region,
-      splatfestId,
-    });
-    if (!rows.length) {
-      res.sendStatus(404);
-      return;
-    }
-    res.json(rows);
-  } catch (e) {
-    res.status(500).send(e);
+  const rows = await queryWeaponRanking({
+    rankingType,
+    weaponType,
+    startTime: startTimestamp,
+    endTime: endTimestamp,
+    ruleId,
+    region,
+    splatfestId,
+  });
+  if (!rows.length) {
+    throw new NotFoundError('No ranking is available.');
   }
+
+  const filename =
+    rankingType === 'splatfest'
+      ? `${weaponType}-splatfest-${region}-${splatfestId}`
+      : [weaponType, rankingType, `${year}-${month.padStart(2, '0')}`, rule].filter(Boolean).join('-');
+  sendRows(req, res, rows, { filename });
 });
 
 const weaponTrendRouterCallback = wrapPromise(async (req, res) => {
-  const { rankingType, weaponType, rule /* region, splatfestId, */ } = req.params;
-  const dateFormat = 'YYYY-MM';
-  const previousMonth = moment.utc(req.query.previous_month, dateFormat);
-  const currentMonth = moment.utc(req.query.current_month, dateFormat);
-
-  if (!(previousMonth.isValid() && currentMonth.isValid() && currentMonth > previousMonth)) {
-    res.status(422).send('Invalid date(s).');
-    return;
+  const { rankingType, weaponType, rule } = req.params;
+  let previous;
+  let current;
+
+  if (rankingType === 'splatfest') {
+    previous = { region: req.query.previous_region, splatfestId: Number(req.query.previous_splatfest_id) };
+    current = { region: req.query.current_region, splatfestId: Number(req.query.current_splatfest_id) };
+  } else {
+    // Each period is a range of months. End of the range is inclusive and defaults to the same month.
+    previous = parseMonthRange(req.query.previous_month, req.query.previous_month_end || req.query.previous_month);
+    current = parseMonthRange(req.query.current_month, req.query.current_month_end || req.query.current_month);
+    if (current.startTime < previous.endTime) {
+      throw new UnprocessableEntityError('Invalid date(s).');
+    }
   }
 
   const ruleId = rule ? findRuleId(rule) : 0;
 
-  try {
-    const rows = await queryWeaponUsageDifference({
+  const rows = await queryWeaponUsageDifference({
+    rankingType,
+    weaponType,
+    previous,
+    current,
+    ruleId,
+    groupType: rankingType === 'league' ? req.query.group_type : undefined,
+  });
+  if (rows[0].current_month_count === 0) {
+    throw new NotFoundError('No ranking is available.');
+  }
+  res.json(rows);
+});
+
+const rulesPattern = rankedRules.map((rule) => rule.key).join('|');
+const weaponTypesPattern = 'weapons|mains|specials|subs|classes';
+const MAX_SERIES_MONTHS = 24;
+
+app.get(
+  `/weapons/:weaponType(${weaponTypesPattern})/:rankingType(league|x)/series`,
+  validateRequest('/weapons/{weaponType}/{rankingType}/series'),
+  conditionalGet((req) => [req.params.rankingType]),
+  wrapPromise(async (req, res) => {
+    const { rankingType, weaponType } = req.params;
+    const dateFormat = 'YYYY-MM';
+    const { startTime, endTime } = parseMonthRange(req.query.from, req.query.to);
+    if (endTime.diff(startTime, 'months') > MAX_SERIES_MONTHS) {
+      throw new UnprocessableEntityError(`Too long period. Up to ${MAX_SERIES_MONTHS} months are allowed.`);
+    }
+
+    const rows = await queryWeaponRanking({
       rankingType,
       weaponType,
-      previousMonth,
-      currentMonth,
-      ruleId /* region, splatfestId, */,
+      startTime: dateToSqlTimestamp(startTime),
+      endTime: dateToSqlTimestamp(endTime),
+      ruleId: req.query.rule ? findRuleId(req.query.rule) : 0,
+      groupByMonth: true,
     });
-    if (rows[0].current_month_count === 0) {
-      res.sendStatus(404);
-      return;
+    if (!rows.length) {
+      throw new NotFoundError('No ranking is available.');
     }
-    res.json(rows);
-  } catch (e) {
-    res.status(500).send(e);
-  }
-});
 
-const rulesPattern = rankedRules.map((rule) => rule.key).join('|');
+    const idColumn =
+      { subs: 'sub_weapon_id', specials: 'special_weapon_id', classes: 'weapon_class_id' }[weaponType] ?? 'weapon_id';
+    const ids = req.query.ids?.split(',').map(Number);
+    const unusedWeapon = (id) => ({ [idColumn]: id, count: 0, rank: null, percentage: 0 });
+
+    const series = [];
+    for (const month = startTime.clone(); month < endTime; month.add({ month: 1 })) {
+      const monthRows = rows
+        .filter((row) => row.month === month.format(dateFormat))
+        .map(({ month: _, ...weapon }) => weapon);
+      series.push({
+        month: month.format(dateFormat),
+        weapons: ids ? ids.map((id) => monthRows.find((row) => row[idColumn] === id) ?? unusedWeapon(id)) : monthRows,
+      });
+    }
+
+    const filename = [weaponType, rankingType, 'series', req.query.from, req.query.to, req.query.rule]
+      .filter(Boolean)
+      .join('-');
+    sendRows(req, res, series, {
+      filename,
+      flatten: ({ month, weapons }) => weapons.map((weapon) => ({ month, ...weapon })),
+    });
+  }),
+);
 
 app.get(
-  '/weapons/:weaponType(weapons|mains|specials|subs)/:rankingType(league|x)/:year(\\d{4})/:month([1-9]|1[012])',
+  `/weapons/:weaponType(${weaponTypesPattern})/league/stages/:stageId(\\d+)`,
+  validateRequest('/weapons/{weaponType}/league/stages/{stageId}'),
+  conditionalGet('league'),
+  wrapPromise(async (req, res) => {
+    const { weaponType, stageId } = req.params;
+    const { from, to, rule } = req.query;
+    const { startTime, endTime } = parseMonthRange(from, to);
+
+    const rows = await queryWeaponRanking({
+      rankingType: 'league',
+      weaponType,
+      // Whole period by default
+      startTime: startTime ? dateToSqlTimestamp(startTime) : '-infinity',
+      endTime: endTime ? dateToSqlTimestamp(endTime) : 'infinity',
+      ruleId: rule ? findRuleId(rule) : 0,
+      stageId: Number(stageId),
+      withAverageRating: true,
+    });
+    if (!rows.length) {
+      throw new NotFoundError('No ranking is available.');
+    }
+
+    const filename = [weaponType, 'league', 'stage', stageId, from, to, rule].filter(Boolean).join('-');
+    sendRows(req, res, rows, { filename });
+  }),
+);
+app.get(
+  `/weapons/:weaponType(${weaponTypesPattern})/:rankingType(league|x)/:year(\\d{4})/:month([1-9]|1[012])`,
+  validateRequest('/weapons/{weaponType}/{rankingType}/{year}/{month}'),
+  conditionalGet((req) => [req.params.rankingType]),
   weaponPopularityRouterCallback,
 );
 app.get(
-  `/weapons/:weaponType(weapons|mains|specials|subs)/:rankingType(league|x)/:year(\\d{4})/:month([1-9]|1[012])/:rule(${rulesPattern})`,
+  `/weapons/:weaponType(${weaponTypesPattern})/:rankingType(league|x)/:year(\\d{4})/:month([1-9]|1[012])/:rule(${rulesPattern})`,
+  validateRequest('/weapons/{weaponType}/{rankingType}/{year}/{month}/{rule}'),
+  conditionalGet((req) => [req.params.rankingType]),
   weaponPopularityRouterCallback,
 );
 app.get(
-  '/weapons/:weaponType(weapons|mains|specials|subs)/:rankingType(splatfest)/:region(na|eu|jp)/:splatfestId(\\d+)',
+  `/weapons/:weaponType(${weaponTypesPattern})/:rankingType(splatfest)/:region(na|eu|jp)/:splatfestId(\\d+)`,
+  validateRequest('/weapons/{weaponType}/splatfest/{region}/{splatfestId}'),
+  conditionalGet((req) => [req.params.rankingType]),
   weaponPopularityRouterCallback,
 );
 
-app.get('/trends/:weaponType(weapons|mains|specials|subs)/:rankingType(x)/', weaponTrendRouterCallback);
 app.get(
-  `/trends/:weaponType(weapons|mains|specials|subs)/:rankingType(x)/:rule(${rulesPattern})`,
+  '/weapons/:weaponId(\\d+)/synergy',
+  validateRequest('/weapons/{weaponId}/synergy'),
+  conditionalGet('league'),
+  wrapPromise(async (req, res) => {
+    const weaponId = getOriginalWeaponId(Number(req.params.weaponId));
+    const { group_type: groupType, rule } = req.query;
+
+    const ruleId = rule ? findRuleId(rule) : 0;
+    const synergy = await cacheUntilIngested(
+      ['league'],
+      `${Cache.keys.synergy_league}:${weaponId}:${groupType}:${ruleId}`,
+      async () => {
+        const result = await queryWeaponSynergy({ weaponId, groupType, ruleId });
+        // Thrown inside so that unknown weapons are never cached.
+        if (!result.count) {
+          throw new NotFoundError('No ranking is available.');
+        }
+        return result;
+      },
+      { ttl: 86400 },
+    );
+    res.json({ weapon_id: weaponId, ...synergy });
+  }),
+);
+
+app.get(
+  `/trends/:weaponType(${weaponTypesPattern})/:rankingType(x|league)/`,
+  validateRequest('/trends/{weaponType}/{rankingType}'),
+  conditionalGet((req) => [req.params.rankingType]),
+  weaponTrendRouterCallback,
+);
+app.get(
+  `/trends/:weaponType(${weaponTypesPattern})/:rankingType(x|league)/:rule(${rulesPattern})`,
+  validateRequest('/trends/{weaponType}/{rankingType}/{rule}'),
+  conditionalGet((req) => [req.params.rankingType]),
+  weaponTrendRouterCallback,
+);
+app.get(
+  `/trends/:weaponType(${weaponTypesPattern})/:rankingType(splatfest)`,
+  validateRequest('/trends/{weaponType}/splatfest'),
+  conditionalGet('splatfest'),
   weaponTrendRouterCallback,
 );
 
+const LEAGUE_COMPOSITIONS_DEFAULT_LIMIT = 20;
+const LEAGUE_COMPOSITIONS_MAX_LIMIT = 100;
+app.get(
+  '/compositions/league',
+  validateRequest('/compositions/league'),
+  conditionalGet('league'),
+  wrapPromise(async (req, res) => {
+    const { from, to, rule, group_type: groupType } = req.query;
+    const { startTime, endTime } = parseMonthRange(from, to);
+    const minRating = req.query.min_rating ? Number(req.query.min_rating) : undefined;
+    const limit = req.query.limit ? Number(req.query.limit) : LEAGUE_COMPOSITIONS_DEFAULT_LIMIT;
+
+    const ruleId = rule ? findRuleId(rule) : 0;
+    if (startTime || endTime || minRating) {
+      res.json(
+        await queryLeagueCompositions({
+          groupType,
+          ruleId,
+          startTime: startTime && dateToSqlTimestamp(startTime),
+          endTime: endTime && dateToSqlTimestamp(endTime),
+          minRating,
+          limit,
+        }),
+      );
+      return;
+    }
+
+    // Whole period is the most expensive one, so it's cached for each group type and rule.
+    // Cached compositions are up to the max limit so that any limit can be served from them.
+    const compositions = await cacheUntilIngested(
+      ['league'],
+      `${Cache.keys.compositions_league}:${groupType ?? ''}:${ruleId}`,
+      () => queryLeagueCompositions({ groupType, ruleId, limit: LEAGUE_COMPOSITIONS_MAX_LIMIT }),
+      { ttl: 86400 },
+    );
+    res.json({ weapons: compositions.weapons.slice(0, limit), classes: compositions.classes.slice(0, limit) });
+  }),
+);
+
+const LEADERBOARD_DEFAULT_LIMIT = 100;
+
+/**
+ * @desc Parse `cursor` and `limit` query strings of a leaderboard.
+ * @param {Array<String>} cursorTypes Types of the values in the cursor (see `decodeCursor`)
+ * @param {Number} [defaultLimit]
+ */
+const parseLeaderboardPage = (req, cursorTypes, defaultLimit = LEADERBOARD_DEFAULT_LIMIT) => {
+  const { cursor } = req.query;
+  const after = cursor ? decodeCursor(cursor, cursorTypes) : null;
+  if (cursor && !after) {
+    throw new ValidationError('Invalid parameter(s).', [{ in: 'query', name: 'cursor', message: 'is malformed' }]);
+  }
+  return { after, limit: req.query.limit ? Number(req.query.limit) : defaultLimit };
+};
+
+/**
+ * @desc Send page of leaderboard in the same shape as `/v2/rankings/x/{year}/{month}/{ruleKey}`.
+ * @param {(row: Object) => Array} getCursor Cursor values of the row
+ */
+const sendLeaderboardPage = (res, { rows, total }, limit, getCursor) => {
+  const data = rows.slice(0, limit);
+  res.json({
+    data,
+    next_cursor: rows.length > limit ? encodeCursor(getCursor(data[data.length - 1])) : null,
+    total,
+  });
+};
+
+app.get(
+  '/leaderboards/x/all',
+  validateRequest('/leaderboards/x/all'),
+  conditionalGet('x'),
+  wrapPromise(async (req, res) => {
+    const sort = req.query.sort || 'total';
+    const { after, limit } = parseLeaderboardPage(req, ['number', 'playerId']);
+
+    const result = await queryXCombinedPeakLeaderboard({ sort, after, limit });
+    sendLeaderboardPage(res, result, limit, (row) => [
+      sort === 'average' ? row.average_rating : row.total_rating,
+      row.player_id,
+    ]);
+  }),
+);
+
+app.get(
+  `/leaderboards/x/:ruleKey(${rulesPattern})`,
+  validateRequest('/leaderboards/x/{ruleKey}'),
+  conditionalGet('x'),
+  wrapPromise(async (req, res) => {
+    const { after, limit } = parseLeaderboardPage(req, ['number', 'playerId']);
+
+    const result = await queryXPeakLeaderboard({ ruleId: findRuleId(req.params.ruleKey), after, limit });
+    sendLeaderboardPage(res, result, limit, (row) => [row.rating, row.player_id]);
+  }),
+);
+
+app.get(
+  '/leaderboards/league/:groupType(T|P)/all',
+  validateRequest('/leaderboards/league/{groupType}/all'),
+  conditionalGet('league'),
+  wrapPromise(async (req, res) => {
+    const sort = req.query.sort || 'total';
+    const { after, limit } = parseLeaderboardPage(req, ['number', 'playerIds']);
+
+    const result = await queryLeagueCombinedPeakLeaderboard({ groupType: req.params.groupType, sort, after, limit });
+    sendLeaderboardPage(res, result, limit, (row) => [
+      sort === 'average' ? row.average_rating : row.total_rating,
+      row.members.map((member) => member.player_id).join(','),
+    ]);
+  }),
+);
+
+app.get(
+  `/leaderboards/league/:groupType(T|P)/:ruleKey(${rulesPattern})`,
+  validateRequest('/leaderboards/league/{groupType}/{ruleKey}'),
+  conditionalGet('league'),
+  wrapPromise(async (req, res) => {
+    const { groupType, ruleKey } = req.params;
+    const { after, limit } = parseLeaderboardPage(req, ['number', 'timestamp', 'groupId']);
+
+    const result = await queryLeaguePeakLeaderboard({ groupType, ruleId: findRuleId(ruleKey), after, limit });
+    sendLeaderboardPage(res, result, limit, (row) => [row.rating, row.start_time, row.group_id]);
+  }),
+);
+
+app.get(
+  '/hall-of-fame/:rankingType(x|league|splatfest)',
+  validateRequest('/hall-of-fame/{rankingType}'),
+  conditionalGet((req) => [req.params.rankingType]),
+  wrapPromise(async (req, res) => {
+    const { rankingType } = req.params;
+    const { after, limit } = parseLeaderboardPage(req, ['number', 'number', 'playerId']);
+
+    const result = await queryHallOfFame({
+      rankingType,
+      minRating: req.query.min_rating ? Number(req.query.min_rating) : undefined,
+      groupType: req.query.group_type,
+      region: req.query.region,
+      after,
+      limit,
+    });
+    sendLeaderboardPage(res, result, limit, (row) =>
+      rankingType === 'x' ? [row.months, row.appearances, row.player_id] : [row.appearances, row.months, row.player_id],
+    );
+  }),
+);
+
+const LEAGUE_SCHEDULES_DEFAULT_LIMIT = 20;
+// Upcoming rotations become past ones every 2 hours, and rankings of past ones are fetched shortly after.
+const LEAGUE_SCHEDULES_CACHE_DURATION = 300;
+app.get(
+  '/schedules/league',
+  validateRequest('/schedules/league'),
+  // Not conditional because upcoming rotations become past ones as time goes by.
+  wrapPromise(async (req, res) => {
+    const { from, to, rule } = req.query;
+    const lang = req.query.lang || 'en';
+    const { startTime, endTime } = parseMonthRange(from, to);
+    const { after, limit } = parseLeaderboardPage(req, ['timestamp'], LEAGUE_SCHEDULES_DEFAULT_LIMIT);
+
+    const filters = {
+      startTime: startTime && dateToSqlTimestamp(startTime),
+      endTime: endTime && dateToSqlTimestamp(endTime),
+      ruleId: rule ? findRuleId(rule) : 0,
+      stageId: req.query.stage ? Number(req.query.stage) : undefined,
+      // Rotations which haven't ended are upcoming.
+      now: dateToSqlTimestamp(moment.utc()),
+    };
+    const [upcoming, pastWithNext] = await Promise.all([
+      queryLeagueSchedules({ ...filters, ended: false, order: 'asc' }),
+      // Fetch one more row to tell if there's the next page.
+      queryLeagueSchedules({ ...filters, ended: true, before: after?.[0], order: 'desc', limit: limit + 1 }),
+    ]);
+    const past = pastWithNext.slice(0, limit);
+
+    const formatSchedule = (row) => {
+      const ruleKey = findRuleKey(row.rule_id);
+      return {
+        start_time: row.start_time,
+        end_time: dateToSqlTimestamp(moment.utc(row.start_time).add({ hours: 2 })),
+        rule: { id: row.rule_id, key: ruleKey, name: i18n(lang, `rules.${ruleKey}.name`) ?? null },
+        stages: row.stage_ids.map((stageId) => ({ id: stageId, name: i18n(lang, `stages.${stageId}.name`) ?? null })),
+      };
+    };
+    res.setHeader('cache-control', `public, s-maxage=${LEAGUE_SCHEDULES_CACHE_DURATION}`);
+    res.json({
+      upcoming: upcoming.map(formatSchedule),
+      past: past.map((row) => {
+        const leagueDate = calculateLeagueDate(moment.utc(row.start_time).valueOf());
+        return {
+          ...formatSchedule(row),
+          rankings: Object.fromEntries(
+            groupTypes.map((groupType) => {
+              const topRating = row[`${groupType.key}_top_rating`];
+              return [
+                groupType.key,
+                topRating === null ? null : { league_id: `${leagueDate}${groupType.query}`, top_rating: topRating },
+              ];
+            }),
+          ),
+          missing_rankings: row.missing,
+        };
+      }),
+      next_cursor: pastWithNext.length > limit ? encodeCursor([past[past.length - 1].start_time]) : null,
+    });
+  }),
+);
+
+app.get(
+  '/monthly-league-battles',
+  validateRequest('/monthly-league-battles'),
+  conditionalGet('league'),
+  wrapPromise(async (req, res) => {
+    res.json(await queryMonthlyLeagueBattles());
+  }),
+);
+
+app.get(
+  '/monthly-league-battles/:startTime(\\d+)',
+  validateRequest('/monthly-league-battles/{startTime}'),
+  conditionalGet('league'),
+  wrapPromise(async (req, res) => {
+    const startTimestamp = dateToSqlTimestamp(Number(req.params.startTime) * 1000);
+    const schedule = await getMonthlyLeagueBattleSchedule(startTimestamp);
+    if (!schedule) {
+      throw new NotFoundError('No monthly league battle is available.');
+    }
+
+    const [rankings, weapons] = await Promise.all([
+      Promise.all(groupTypes.map((groupType) => queryLeagueGroupRankings(startTimestamp, groupType.query))),
+      Promise.all(
+        groupTypes.map((groupType) =>
+          queryWeaponRanking({
+            rankingType: 'league',
+            weaponType: 'weapons',
+            startTime: startTimestamp,
+            groupType: groupType.query,
+          }),
+        ),
+      ),
+    ]);
+    res.json({
+      ...schedule,
+      rankings: Object.fromEntries(groupTypes.map((groupType, i) => [groupType.key, rankings[i]])),
+      weapons: Object.fromEntries(groupTypes.map((groupType, i) => [groupType.key, weapons[i]])),
+    });
+  }),
+);
+
 app.get(
   '/records',
+  validateRequest('/records'),
+  conditionalGet('league', 'x'),
   wrapPromise(async (req, res) => {
     const latestXRankingTime = await queryLatestXRankingStartTime();
     const cachePath = `cache/weapons-x-top-players.${moment(latestXRankingTime).format('YYYY-MM')}.json`;
@@ -463,16 +973,17 @@ app.get(
 
 app.get(
   '/records/league-weapon',
+  validateRequest('/records/league-weapon'),
+  conditionalGet('league'),
   wrapPromise(async (req, res) => {
     let { group_type: groupType, weapon_id: weaponId, weapon_ids: weaponIds } = req.query;
     weaponId = Number.parseInt(weaponId, 10);
     groupType = groupTypes.find((type) => type.query === groupType) || groupTypes[0];
 
     if (Number.isNaN(weaponId)) {
-      weaponIds = weaponIds.split(',').map((wid) => Number.parseInt(wid, 10));
+      weaponIds = weaponIds?.split(',').map((wid) => Number.parseInt(wid, 10)) ?? [];
       if (weaponIds.some(Number.isNaN) || groupType.members !== weaponIds.length) {
-        res.status(400).send('Missing required parameter: weaponId / weaponIds.');
-        return;
+        throw new BadRequestError('Missing required parameter: weaponId / weaponIds.');
       }
     }
 
@@ -489,13 +1000,14 @@ app.get(
 
 app.get(
   '/records/x-weapon',
+  validateRequest('/records/x-weapon'),
+  conditionalGet('x'),
   wrapPromise(async (req, res) => {
     let { weapon_id: weaponId } = req.query;
     weaponId = Number.parseInt(weaponId, 10);
 
     if (Number.isNaN(weaponId)) {
-      res.status(400).send('Missing required parameter: weaponId.');
-      return;
+      throw new BadRequestError('Missing required parameter: weaponId.');
     }
 
     const promises = [0, ...rankedRuleIds].map(async (ruleId) => {
@@ -515,6 +1027,7 @@ app.get(
 
 app.get(
   '/splatfests',
+  validateRequest('/splatfests'),
   wrapPromise(async (req, res) => {
     const rows = await db
       .select('*')
@@ -527,6 +1040,8 @@ app.get(
 
 app.get(
   '/stats',
+  validateRequest('/stats'),
+  conditionalGet('league', 'x', 'splatfest'),
   wrapPromise(async (req, res) => {
     const result = await db.raw(`
     select
@@ -537,116 +1052,178 @@ app.get(
   }),
 );
 
-app.get(
-  '/distributions/x',
+// Ranges used unless specified in query
+const ratingDistributionDefaults = {
+  x: { start: 2600, end: 3100, interval: 10 },
+  league: { start: 2200, end: 2900, interval: 20 },
+};
+const MAX_RATING_DISTRIBUTION_BUCKETS = 200;
+
+const ratingDistributionsRouterCallback = (rankingType) =>
   wrapPromise(async (req, res) => {
-    const cache = await Cache.wrap(Cache.keys.distributions_x, async () => {
-      const start = 2600;
-      const end = 3100;
-      const interval = 10;
-      const classes = range(start, end, interval);
-      const classesQuery = classes
-        .map((rating) => {
-          return `SUM(CASE WHEN rating >= ${rating} THEN 1 ELSE 0 END) AS over${rating}`;
-        })
-        .join(',');
-      const query = `
-      WITH cte AS (
-        SELECT MAX(rating) AS rating, rule_id
-        FROM x_rankings
-        GROUP BY player_id, rule_id
-      )
-      SELECT
-        COUNT(*) AS count,
-        rule_id,
-        ${classesQuery}
-        FROM cte
-        GROUP by rule_id
-      `;
-      const { rows } = await db.raw(query);
-      const data = {};
-      rows.forEach((row) => {
-        Object.entries(row).forEach(([key, value]) => {
-          if (!data[row.rule_id]) {
-            data[row.rule_id] = {
-              count: row.count,
-              distributions: {},
-            };
-          }
-
-          if (key.startsWith('over')) {
-            data[row.rule_id].distributions[key.replace('over', '')] = value;
-          }
-        });
-      });
+    const defaults = ratingDistributionDefaults[rankingType];
+    const start = req.query.start ? Number(req.query.start) : defaults.start;
+    const end = req.query.end ? Number(req.query.end) : defaults.end;
+    const interval = req.query.interval ? Number(req.query.interval) : defaults.interval;
+    if (end <= start) {
+      throw new UnprocessableEntityError('Invalid rating range.');
+    }
+    const ratings = range(start, end, interval);
+    if (ratings.length > MAX_RATING_DISTRIBUTION_BUCKETS) {
+      throw new UnprocessableEntityError(`Too many buckets. Up to ${MAX_RATING_DISTRIBUTION_BUCKETS} are allowed.`);
+    }
 
-      return data;
-    }, { ttl: 86400 });
+    const { from, to, weapon_class: weaponClass } = req.query;
+    const { startTime, endTime } = parseMonthRange(from, to);
+
+    const weaponId = req.query.weapon_id ? getOriginalWeaponId(Number(req.query.weapon_id)) : undefined;
+    const percentiles = req.query.percentiles
+      ? [...new Set(req.query.percentiles.split(',').map(Number))].sort((a, b) => a - b)
+      : [];
+
+    const queryAllDistributions = async () => {
+      const queryDistributions = (groupType) =>
+        queryRatingDistributions({
+          rankingType,
+          groupType,
+          ratings,
+          interval,
+          percentiles: percentiles.map((percentile) => percentile / 100),
+          startTime: startTime && dateToSqlTimestamp(startTime),
+          endTime: endTime && dateToSqlTimestamp(endTime),
+          weaponId,
+          weaponClassId: weaponClass && findWeaponClassId(weaponClass),
+        }).then((rows) =>
+          Object.fromEntries(
+            rows.map((row) => [
+              row.rule_id,
+              {
+                count: row.count,
+                // Number of players whose peak rating is at least the rating
+                distributions: Object.fromEntries(ratings.map((rating) => [rating, row[`over${rating}`]])),
+                // Number of players whose peak rating is in [rating, rating + interval)
+                buckets: Object.fromEntries(ratings.map((rating) => [rating, row[`bucket${rating}`]])),
+                percentiles: Object.fromEntries(percentiles.map((percentile, i) => [percentile, row.percentiles[i]])),
+              },
+            ]),
+          ),
+        );
 
-    res.json(cache);
-  }),
+      if (rankingType === 'x') {
+        return queryDistributions();
+      }
+      const distributions = await Promise.all(groupTypes.map((groupType) => queryDistributions(groupType.query)));
+      return Object.fromEntries(groupTypes.map((groupType, i) => [groupType.key, distributions[i]]));
+    };
+
+    // Parameters are normalized so that equivalent requests share an entry.
+    // OpenAPI document bounds them, e.g.) number and precision of percentiles.
+    const cacheKey = [
+      Cache.keys[`distributions_${rankingType}`],
+      start,
+      interval,
+      ratings.length,
+      startTime?.format('YYYY-MM') ?? '',
+      endTime?.format('YYYY-MM') ?? '',
+      weaponId ?? '',
+      weaponClass ?? '',
+      percentiles.join(','),
+    ].join(':');
+    res.json(await cacheUntilIngested([rankingType], cacheKey, queryAllDistributions, { ttl: 86400 }));
+  });
+
+app.get(
+  '/distributions/x',
+  validateRequest('/distributions/x'),
+  conditionalGet('x'),
+  ratingDistributionsRouterCallback('x'),
 );
 
 app.get(
   '/distributions/league',
+  validateRequest('/distributions/league'),
+  conditionalGet('league'),
+  ratingDistributionsRouterCallback('league'),
+);
+
+app.get(
+  '/percentile/:rankingType(x|league)',
+  validateRequest('/percentile/{rankingType}'),
+  conditionalGet((req) => [req.params.rankingType]),
   wrapPromise(async (req, res) => {
-    const cache = await Cache.wrap(Cache.keys.distributions_league, async () => {
-      const start = 2200;
-      const end = 2900;
-      const interval = 20;
-      const classes = range(start, end, interval);
-      const classesQuery = classes
-        .map((rating) => {
-          return `SUM(CASE WHEN rating >= ${rating} THEN 1 ELSE 0 END) AS over${rating}`;
-        })
-        .join(',');
-
-      const [team, pair] = await Promise.all(
-        groupTypes.map(async ({ query: queryKey }) => {
-          const query = `
-          WITH cte AS (
-            SELECT MAX(rating) AS rating, rule_id
-            FROM league_rankings lr
-            INNER JOIN league_schedules ls ON lr.start_time = ls.start_time
-            WHERE group_type = '${queryKey}'
-            GROUP BY player_id, rule_id
-          )
-          SELECT
-            COUNT(*) AS count,
-            rule_id,
-            ${classesQuery}
-            FROM cte
-            GROUP by rule_id
-          `;
-          const { rows } = await db.raw(query);
-          const data = {};
-          rows.forEach((row) => {
-            Object.entries(row).forEach(([key, value]) => {
-              if (!data[row.rule_id]) {
-                data[row.rule_id] = {
-                  count: row.count,
-                  distributions: {},
-                };
-              }
-
-              if (key.startsWith('over')) {
-                data[row.rule_id].distributions[key.replace('over', '')] = value;
-              }
-            });
-          });
-
-          return data;
-        }),
-      );
+    const { rankingType } = req.params;
+    const { rule, month, group_type: groupType } = req.query;
+    const rating = Number(req.query.rating);
+    const { startTime, endTime } = parseMonthRange(month, month);
 
-      return {
-        team,
-        pair,
-      };
-    }, { ttl: 86400 });
+    const { count, lower, equal, higher } = await queryRatingPercentile({
+      rankingType,
+      groupType: rankingType === 'league' ? groupType : undefined,
+      ruleId: findRuleId(rule),
+      startTime: startTime && dateToSqlTimestamp(startTime),
+      endTime: endTime && dateToSqlTimestamp(endTime),
+      rating,
+    });
+    if (!count) {
+      throw new NotFoundError('No ranking is available.');
+    }
 
-    res.json(cache);
+    res.json({
+      rating,
+      count,
+      lower,
+      equal,
+      higher,
+      // The rank the rating would have among peak ratings
+      rank: higher + 1,
+      percentile: (100 * lower) / count,
+    });
   }),
 );
 
+app.use((req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.path}`));
+});
+
+if (config.SENTRY_DSN) {
+  // Only errors with status code 500 or above are reported.
+  app.use(Sentry.Handlers.errorHandler());
+}
+
+// Every error is sent as `{ error: { code, message, details } }`.
+// Unexpected errors are masked so that internal details (e.g. SQL) are never sent to clients.
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    next(err);
+    return;
+  }
+
+  let error = err;
+  if (!(err instanceof APIError)) {
+    // e.g.) Malformed URI, which is thrown by Express itself.
+    const isClientError = err.status >= 400 && err.status < 500;
+    if (!isClientError && !config.SENTRY_DSN) {
+      // Reported by Sentry instead when it is enabled.
+      console.error(err);
+    }
+    if (isClientError) {
+      error = new BadRequestError(err.message);
+      // Keep the original status (e.g. 413 or 415) instead of turning every client error into 400.
+      error.statusCode = err.status;
+    } else {
+      error = new APIError('Internal server error.');
+    }
+  }
+
+  // Errors must not be cached by CDN, otherwise a transient failure would be served for a day.
+  res.setHeader('cache-control', 'no-store');
+  res.status(error.statusCode).json({
+    error: {
+      code: error.code,
+      message: error.message,
+      details: error.details,
+    },
+  });
+});
+
 module.exports = app;